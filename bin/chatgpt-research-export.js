@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+'use strict';
+
+// Command-line converter for ChatGPT pages saved with "Save page as", using the userscript's converter on jsdom
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { JSDOM } = require('jsdom');
+const exporter = require('../chatgpt-research-export.user.js');
+
+const usage = `Usage: chatgpt-research-export [options] <file or directory>...
+
+Converts saved ChatGPT HTML pages to Markdown, HTML or plain text.
+Directories are searched recursively for .html and .htm files.
+
+Options:
+  -o, --out-dir <dir>      Write files to this directory (default: next to each input file)
+  -f, --format <format>    Output format: markdown, html or text (default: the outputFormat setting, else markdown)
+  -c, --conversation       Export the whole conversation instead of each deep research result
+  -i, --images <mode>      Images: link (keep URLs), embed (data URIs) or bundle (files in an assets folder)
+  -s, --settings <file>    JSON settings, as copied with "Copy Settings (JSON)" in the userscript menu
+      --frontmatter        Include frontmatter (same as "includeFrontmatter": true in the settings)
+      --citation-style <style>
+                           Citation style: inline, footnotes or reference
+  -b, --bibliography <format>
+                           Also write the sources as csl (CSL-JSON), bibtex, both or off
+  -h, --help               Show this help
+`;
+
+// Function to parse command-line arguments
+function parseArguments(args) {
+    const options = { inputs: [], settings: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '-o':
+            case '--out-dir':
+                options.outDir = next();
+                break;
+            case '-f':
+            case '--format':
+                options.format = next();
+                break;
+            case '-c':
+            case '--conversation':
+                options.conversation = true;
+                break;
+            case '-i':
+            case '--images':
+                options.imageMode = next();
+                break;
+            case '-s':
+            case '--settings':
+                options.settingsFile = next();
+                break;
+            case '--frontmatter':
+                options.settings.includeFrontmatter = true;
+                break;
+            case '--citation-style':
+                options.settings.citationStyle = next();
+                break;
+            case '-b':
+            case '--bibliography':
+                options.settings.bibliographyFormat = next();
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Function to list the HTML files for the given files and directories
+function findHtmlFiles(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        const stat = fs.statSync(input);
+        if (!stat.isDirectory()) {
+            files.push(input);
+            continue;
+        }
+
+        for (const entry of fs.readdirSync(input, { withFileTypes: true })) {
+            const entryPath = path.join(input, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...findHtmlFiles([entryPath]));
+            } else if (/\.html?$/i.test(entry.name)) {
+                files.push(entryPath);
+            }
+        }
+    }
+
+    return files;
+}
+
+// Function to recover the page's original URL, which browsers record when saving a page
+function getOriginalUrl(html, filePath) {
+    const patterns = [
+        /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i,
+        /<link[^>]+rel=["']canonical["'][^>]+href=["']([^"']+)["']/i,
+        /<meta[^>]+property=["']og:url["'][^>]+content=["']([^"']+)["']/i,
+    ];
+    for (const pattern of patterns) {
+        const match = html.match(pattern);
+        if (match && /^https?:\/\//.test(match[1])) {
+            return match[1];
+        }
+    }
+    return `file://${path.resolve(filePath)}`;
+}
+
+// MIME types of image files saved with a page
+const imageTypes = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp',
+    '.svg': 'image/svg+xml',
+};
+
+// Function to check that a file is inside a folder, after following symbolic links
+function isInsideFolder(filePath, folder) {
+    const relative = path.relative(fs.realpathSync(folder), fs.realpathSync(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Function to create an image loader for a saved page. Browsers save images in a folder next to the page
+// and point relative URLs at it, so those are read from disk and everything else is fetched.
+// The page decides the paths, so only files in the page's folder and below are read.
+function createImageLoader(htmlFile) {
+    const pageFolder = path.dirname(path.resolve(htmlFile));
+    return (src) => {
+        if (/^(https?|data):/i.test(src)) {
+            return fetch(src).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.arrayBuffer().then(buffer => ({
+                    bytes: new Uint8Array(buffer),
+                    mimeType: response.headers.get('content-type'),
+                }));
+            });
+        }
+
+        return Promise.resolve().then(() => {
+            const imagePath = /^file:/i.test(src)
+                ? fileURLToPath(src)
+                : path.resolve(pageFolder, decodeURIComponent(src.split(/[?#]/)[0]));
+            if (!isInsideFolder(imagePath, pageFolder)) {
+                throw new Error('not in the folder of the page');
+            }
+            return fs.promises.readFile(imagePath).then(bytes => ({
+                bytes: new Uint8Array(bytes),
+                mimeType: imageTypes[path.extname(imagePath).toLowerCase()],
+            }));
+        });
+    };
+}
+
+// Function to write a file, creating its folder
+function writeFile(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    if (options.help || options.inputs.length === 0) {
+        console.log(usage);
+        return options.help ? 0 : 2;
+    }
+
+    if (options.format && !exporter.outputFormats[options.format]) {
+        console.error(`Unknown format "${options.format}", expected one of: ${Object.keys(exporter.outputFormats).join(', ')}`);
+        return 2;
+    }
+    if (options.imageMode && !exporter.imageModes[options.imageMode]) {
+        console.error(`Unknown image mode "${options.imageMode}", expected one of: ${Object.keys(exporter.imageModes).join(', ')}`);
+        return 2;
+    }
+
+    // Choices given on the command line, checked against the values the userscript accepts
+    const choiceOptions = [
+        ['citationStyle', '--citation-style', exporter.citationStyles],
+        ['bibliographyFormat', '--bibliography', exporter.bibliographyOptions],
+    ];
+    for (const [key, flag, choices] of choiceOptions) {
+        const value = options.settings[key];
+        if (value !== undefined && !Object.prototype.hasOwnProperty.call(choices, value)) {
+            console.error(`Unknown ${flag} value "${value}", expected one of: ${Object.keys(choices).join(', ')}\n\n${usage}`);
+            return 2;
+        }
+    }
+
+    let settings = {};
+    if (options.settingsFile) {
+        try {
+            settings = JSON.parse(fs.readFileSync(options.settingsFile, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read settings from ${options.settingsFile}: ${error.message}\n\n${usage}`);
+            return 2;
+        }
+    }
+    exporter.configure({ ...settings, ...options.settings });
+
+    let files;
+    try {
+        files = findHtmlFiles(options.inputs);
+    } catch (error) {
+        console.error(`${error.code === 'ENOENT' ? `No such file or directory: ${error.path}` : error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    // Paths written to each output directory, so pages with the same title don't overwrite each other
+    const usedNamesByDir = new Map();
+    let failures = 0;
+
+    for (const file of files) {
+        try {
+            const outDir = options.outDir || path.dirname(file);
+            const outDirKey = path.resolve(outDir);
+            if (!usedNamesByDir.has(outDirKey)) {
+                usedNamesByDir.set(outDirKey, new Set());
+            }
+
+            const html = fs.readFileSync(file, 'utf8');
+            const dom = new JSDOM(html, { url: getOriginalUrl(html, file) });
+            const exports = await exporter.convertPage(dom.window, {
+                format: options.format,
+                conversation: options.conversation,
+                imageMode: options.imageMode,
+                loadImage: createImageLoader(file),
+                usedNames: usedNamesByDir.get(outDirKey),
+            });
+            dom.window.close();
+
+            if (exports.length === 0) {
+                console.warn(`${file}: no deep research content found`);
+                continue;
+            }
+
+            for (const { path: exportPath, content, assets, bibliographies } of exports) {
+                const written = path.join(outDir, ...exportPath.split('/'));
+                writeFile(written, content);
+                for (const extraFile of [...bibliographies, ...assets]) {
+                    writeFile(path.join(outDir, ...extraFile.name.split('/')), extraFile.content);
+                }
+                console.log(`${file} -> ${written}${assets.length > 0 ? ` (${assets.length} images)` : ''}`);
+            }
+        } catch (error) {
+            failures++;
+            console.error(`${file}: ${error.message}`);
+        }
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+main().then((exitCode) => {
+    process.exitCode = exitCode;
+}).catch((error) => {
+    console.error(`chatgpt-research-export: ${error && error.message ? error.message : error}`);
+    process.exitCode = 1;
+});
@@ -10,12 +10,32 @@
 // @grant        GM_unregisterMenuCommand
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        GM_xmlhttpRequest
+// @connect      *
 // @license      MIT
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    // Settings live in userscript storage, or in memory when the script is loaded as a module
+    const memoryStorage = {};
+
+    function getValue(key, defaultValue) {
+        if (typeof GM_getValue === 'function') {
+            return GM_getValue(key, defaultValue);
+        }
+        return Object.prototype.hasOwnProperty.call(memoryStorage, key) ? memoryStorage[key] : defaultValue;
+    }
+
+    function setValue(key, value) {
+        if (typeof GM_setValue === 'function') {
+            GM_setValue(key, value);
+            return;
+        }
+        memoryStorage[key] = value;
+    }
+
     // Function to get the base URL without fragments or query parameters.
     function getBaseUrl(url) {
         if (!deduplicateCitations) {
@@ -31,142 +51,905 @@
     }
 
     // Function to escape special characters in content
-    function escapeContent(text) {
-        return text.replace(/\$/g, '\\$');
+    function escapeContent(text, atLineStart = false) {
+        const escaped = text
+            .replace(/[\\`*_[\]~<$]/g, '\\$&') // Inline formatting, links, HTML and math delimiters
+            .replace(/&(?=#?\w+;)/g, '\\&'); // Character references
+
+        // Block markers only take effect at the start of a line
+        return escaped
+            .split('\n')
+            .map((line, index) => (index > 0 || atLineStart ? escapeLineStart(line) : line))
+            .join('\n');
     }
 
-    // Function to convert HTML content to markdown
-    function convertToMarkdown(element) {
-        let sourceCounter = 1;
-        const sourceMap = new Map(); // Track unique sources
-        const headingSanitization = [
-            '**',
-            '*',
-            '_',
-        ]
-
-        // Helper function to sanitize cell content for markdown tables
-        function sanitizeCellContent(content) {
-            return content
-                .replace(/\|/g, '\\|')      // Escape pipe characters
-                .replace(/\n/g, ' ')         // Replace newlines with spaces
-                .trim();                     // Trim whitespace
-        }
-
-        // Helper function to sanitize header content for markdown tables
-        function sanitizeHeadingContent(content) {
-            let cleanContent = sanitizeCellContent(content);
-            for (const sanitization of headingSanitization) {
-                if (!cleanContent.startsWith(sanitization) || !cleanContent.endsWith(sanitization)) {
-                    continue;
+    // Function to escape markers that would turn the start of a line into a heading, quote, list or rule
+    function escapeLineStart(line) {
+        return line
+            .replace(/^(\s*)([#>+=-])/, '$1\\$2')
+            .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+    }
+
+    // Elements that start a new line in the markdown output
+    const blockTags = [
+        'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+        'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+        'pre', 'section', 'table', 'td', 'th', 'tr', 'ul', 'br',
+    ];
+
+    // Function to check whether a text node begins a line, i.e. nothing visible precedes it in its block
+    function isAtLineStart(textNode) {
+        let current = textNode;
+        while (current.parentNode) {
+            for (let sibling = current.previousSibling; sibling; sibling = sibling.previousSibling) {
+                if (sibling.nodeType === Node.ELEMENT_NODE && blockTags.includes(sibling.tagName.toLowerCase())) {
+                    return true;
                 }
+                if (sibling.textContent.trim()) {
+                    return false;
+                }
+            }
+            current = current.parentNode;
+            if (current.nodeType !== Node.ELEMENT_NODE || blockTags.includes(current.tagName.toLowerCase())) {
+                return true;
+            }
+        }
+        return true;
+    }
+
+    // Function to wrap inline content in emphasis markers, keeping surrounding whitespace outside them
+    function wrapInline(content, marker) {
+        const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) {
+            return content;
+        }
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    }
+
+    // Function to format a link destination, using angle brackets when it contains spaces or parentheses
+    function formatLinkDestination(url) {
+        return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    }
 
-                // Remove styling from headings, let the markdown renderer handle it gracefully
-                cleanContent = cleanContent.slice(sanitization.length, -sanitization.length);
+    // Function to detect a rendered math element and recover its LaTeX source
+    function getMathSource(node) {
+        const tagName = node.tagName.toLowerCase();
+        let display = false;
+        let latex = null;
+
+        if (node.classList.contains('katex-display') || node.classList.contains('katex')) {
+            // KaTeX keeps the original TeX in a MathML annotation next to the visual spans
+            display = node.classList.contains('katex-display');
+            const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+            latex = annotation ? annotation.textContent : null;
+        } else if (tagName === 'mjx-container') {
+            // MathJax may keep the TeX in an attribute or a math/tex script, depending on configuration
+            display = node.getAttribute('display') === 'true';
+            const script = node.querySelector('script[type^="math/tex"]');
+            latex = node.getAttribute('data-latex') || (script ? script.textContent : null);
+            if (!latex) {
+                const math = node.querySelector('math');
+                latex = math ? math.getAttribute('alttext') : null;
             }
-            return cleanContent;
+        } else if (tagName === 'script' && /^math\/tex/.test(node.getAttribute('type') || '')) {
+            display = /mode=display/.test(node.getAttribute('type'));
+            latex = node.textContent;
+        } else if (tagName === 'math') {
+            display = node.getAttribute('display') === 'block';
+            const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+            latex = annotation ? annotation.textContent : node.getAttribute('alttext');
+        } else {
+            return null;
         }
 
-        // Helper function to process tables while preserving structure
-        function processTable(tableNode) {
-            let headerRow = null;
-            const bodyRows = [];
+        // Fall back to the visible text rather than losing the formula entirely
+        if (!latex) {
+            latex = node.textContent;
+        }
+
+        return { latex: latex.trim(), display };
+    }
+
+    // Labels from ChatGPT's code block toolbar that are never a language name
+    const codeBlockChromeLabels = ['copy', 'copy code', 'copied', 'copied!', 'edit', 'run', 'download'];
+
+    // Function to detect the language of a code block from class names or ChatGPT's header label
+    function getCodeLanguage(preNode, codeNode) {
+        const classNames = [codeNode, preNode]
+            .filter(Boolean)
+            .flatMap(node => Array.from(node.classList));
+        for (const className of classNames) {
+            const match = className.match(/^(?:language|lang)-([\w#+.-]+)$/);
+            if (match) {
+                return match[1].toLowerCase();
+            }
+        }
+
+        // ChatGPT renders the language as a text label in a header above the code. Without a separate
+        // code element there is no header to tell apart from highlighted code, whose spans hold keywords.
+        if (!codeNode) {
+            return '';
+        }
+        for (const element of preNode.querySelectorAll('div, span')) {
+            if (element.contains(codeNode) || codeNode.contains(element)) {
+                continue;
+            }
+
+            const ownText = Array.from(element.childNodes)
+                .filter(child => child.nodeType === Node.TEXT_NODE)
+                .map(child => child.textContent)
+                .join('')
+                .trim()
+                .toLowerCase();
+            if (ownText && !codeBlockChromeLabels.includes(ownText) && /^[\w#+.-]{1,30}$/.test(ownText)) {
+                return ownText;
+            }
+        }
+
+        return '';
+    }
+
+    // Function to build a backtick fence longer than any backtick run in the content
+    function getBacktickFence(text, minLength) {
+        const runs = text.match(/`+/g) || [];
+        const longestRun = runs.reduce((longest, run) => Math.max(longest, run.length), 0);
+        return '`'.repeat(Math.max(minLength, longestRun + 1));
+    }
+
+    // Function to render text as an inline code span that survives backticks in the text
+    function renderInlineCode(text) {
+        if (!text) {
+            return '';
+        }
+        const fence = getBacktickFence(text, 1);
+        const padding = /^`|`$/.test(text) ? ' ' : '';
+        return `${fence}${padding}${text}${padding}${fence}`;
+    }
+
+    // Function to escape text for use in HTML output
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Elements and attributes kept when a table falls back to inline HTML
+    const htmlFallbackTags = [
+        'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+        'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'code', 'pre',
+        'ul', 'ol', 'li', 'blockquote', 'sup', 'sub', 'del', 's',
+    ];
+    const htmlFallbackAttributes = ['colspan', 'rowspan', 'align', 'start', 'scope'];
+
+    // Function to encode bytes as base64, in chunks to stay under the argument limit of String.fromCharCode
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Function to decide whether an inline SVG is a chart or figure rather than an icon
+    function isChartSvg(svgNode) {
+        if (svgNode.parentElement && svgNode.parentElement.closest('svg, button, [role="button"]')) {
+            return false;
+        }
+        if (svgNode.getAttribute('aria-hidden') === 'true' || /\bicon\b/.test(svgNode.getAttribute('class') || '')) {
+            return false;
+        }
+        const width = parseFloat(svgNode.getAttribute('width'));
+        const height = parseFloat(svgNode.getAttribute('height'));
+        return !(width <= 32 && height <= 32);
+    }
+
+    // Function to serialize an inline SVG to a standalone SVG file
+    function serializeSvg(svgNode) {
+        const clone = svgNode.cloneNode(true);
+
+        // A size set by the page's CSS is lost outside the page, so keep the rendered size
+        const { width, height } = svgNode.getBoundingClientRect();
+        if (!clone.hasAttribute('width') && width > 0) {
+            clone.setAttribute('width', Math.round(width));
+        }
+        if (!clone.hasAttribute('height') && height > 0) {
+            clone.setAttribute('height', Math.round(height));
+        }
+
+        return new window.XMLSerializer().serializeToString(clone);
+    }
 
-            // Try to get header from thead
-            const thead = tableNode.querySelector('thead');
-            if (thead) {
-                const headerTrs = thead.querySelectorAll('tr');
-                if (headerTrs.length > 1) {
-                    console.warn('Table has multiple <tr> in <thead>, using only first row');
+    // Function to get a text alternative for an inline SVG from its ARIA label or title
+    function getSvgLabel(svgNode) {
+        const title = Array.from(svgNode.children).find(child => child.tagName.toLowerCase() === 'title');
+        return (svgNode.getAttribute('aria-label') || (title ? title.textContent : '')).replace(/\s+/g, ' ').trim();
+    }
+
+    // Function to create a registry that numbers cited sources, optionally shared across conversions.
+    // The label prefix keeps footnote and reference labels unique when several registries share a document.
+    function createSourceRegistry(labelPrefix = '') {
+        return {
+            counter: 1,
+            sourceMap: new Map(), // Track unique sources
+            sourceLinks: new Map(), // Track distinct links merged under each source
+            sourceDetails: new Map(), // Track the title, domain and accessed date of each source
+            labelPrefix,
+        };
+    }
+
+    // Function to list a registry's sources in citation order, with their details and the links merged into each
+    function getRegisteredSources(sources) {
+        return Array.from(sources.sourceMap, ([baseUrl, sourceNumber]) => {
+            // The first link seen for a source is its primary link, the rest were merged into it
+            const [primaryLink, ...mergedLinks] = sources.sourceLinks.get(baseUrl);
+            const { title, domain, accessed } = sources.sourceDetails.get(baseUrl);
+            return { sourceNumber, label: `${sources.labelPrefix}${sourceNumber}`, primaryLink, mergedLinks, title, domain, accessed };
+        });
+    }
+
+    // Function to get the domain of a link, without a leading www.
+    function getLinkDomain(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // Function to render list items with markers, indenting continuation lines to the item's content column
+    function renderIndentedList(ordered, items, bullet) {
+        let output = '';
+        for (const item of items) {
+            const marker = ordered ? `${item.number}. ` : `${bullet} `;
+            const indent = ' '.repeat(marker.length);
+            // Task list checkboxes are followed by exactly one space
+            const lines = item.content.replace(/^(\[[ x]\])\s+/, '$1 ').split('\n');
+            output += marker + lines[0] + '\n';
+            for (const line of lines.slice(1)) {
+                output += line ? `${indent}${line}\n` : '\n';
+            }
+        }
+        return `${output}\n`;
+    }
+
+    const headingSanitization = [
+        '**',
+        '*',
+        '_',
+    ];
+
+    // Function to sanitize cell content for markdown tables
+    function sanitizeCellContent(content) {
+        return content
+            .replace(/\|/g, '\\|')      // Escape pipe characters
+            .replace(/\n/g, ' ')         // Replace newlines with spaces
+            .trim();                     // Trim whitespace
+    }
+
+    // Function to sanitize header content for markdown tables
+    function sanitizeHeadingContent(content) {
+        let cleanContent = sanitizeCellContent(content);
+        for (const sanitization of headingSanitization) {
+            if (!cleanContent.startsWith(sanitization) || !cleanContent.endsWith(sanitization)) {
+                continue;
+            }
+
+            // Remove styling from headings, let the markdown renderer handle it gracefully
+            cleanContent = cleanContent.slice(sanitization.length, -sanitization.length);
+        }
+        return cleanContent;
+    }
+
+    // Function to make a GitHub-style heading anchor: lowercase, punctuation removed and spaces as dashes
+    function slugifyHeading(text) {
+        return text
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+            .replace(/ /g, '-');
+    }
+
+    // Function to create a registry of heading anchors, shared by conversions that end up in one document
+    function createAnchorRegistry() {
+        return { occurrences: new Map() };
+    }
+
+    // Function to reserve a unique anchor for a heading, numbering repeats like GitHub does: name, name-1, name-2
+    function registerAnchor(anchors, text) {
+        const base = slugifyHeading(text);
+        let anchor = base;
+        while (anchors.occurrences.has(anchor)) {
+            const count = anchors.occurrences.get(base) + 1;
+            anchors.occurrences.set(base, count);
+            anchor = `${base}-${count}`;
+        }
+        anchors.occurrences.set(anchor, 0);
+        return anchor;
+    }
+
+    // Function to build an Obsidian heading link for a table of contents entry.
+    // Obsidian links to the first heading with a name, so repeated names are linked through their parent headings,
+    // and headings repeated under the same parents through the block id written after them.
+    function formatObsidianHeadingLink(entry) {
+        const clean = text => text.replace(/[[\]|#^]/g, '').replace(/\s+/g, ' ').trim();
+        if (entry.blockId) {
+            return `[[#^${entry.blockId}|${clean(entry.text)}]]`;
+        }
+        const target = (entry.textIsUnique ? [entry.text] : entry.path).map(clean).join('#');
+        return `[[#${target}|${clean(entry.text)}]]`;
+    }
+
+    // Function to make an Obsidian block id for a heading from its anchor; block ids allow only letters, digits and dashes
+    function getHeadingBlockId(anchor) {
+        return `h-${anchor.replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'heading'}`;
+    }
+
+    // Separator row markers for table column alignments
+    const alignmentMarkers = {
+        left: ':---',
+        center: ':---:',
+        right: '---:',
+    };
+
+    // Renderers turn the structure found by the DOM walk into an output format.
+    // Every method receives already rendered child content and returns a string.
+    const markdownRenderer = {
+        text(text, context) {
+            return context.verbatim ? text : escapeContent(text, context.atLineStart());
+        },
+        heading(level, content, anchor, blockId) {
+            // GitHub and Obsidian derive anchors from the heading text, so the anchor isn't written.
+            // Obsidian can't tell apart headings with the same text under the same parents, so those get a block id.
+            return `${'#'.repeat(level)} ${content.trim()}${blockId ? ` ^${blockId}` : ''}\n\n`;
+        },
+        tableOfContents(entries) {
+            const minLevel = Math.min(...entries.map(entry => entry.level));
+            const lines = entries.map((entry) => {
+                const link = anchorStyle === 'obsidian'
+                    ? formatObsidianHeadingLink(entry)
+                    : `[${escapeContent(entry.text)}](#${entry.anchor})`;
+                return `${'  '.repeat(entry.level - minLevel)}- ${link}`;
+            });
+            return `**Contents**\n\n${lines.join('\n')}\n\n`;
+        },
+        paragraph(content) {
+            return `${content.trim()}\n\n`;
+        },
+        strong(content) {
+            return wrapInline(content, '**');
+        },
+        emphasis(content) {
+            return wrapInline(content, '*');
+        },
+        strikethrough(content) {
+            return wrapInline(content, '~~');
+        },
+        script(tagName, content) {
+            return content.trim() ? `<${tagName}>${content.trim()}</${tagName}>` : '';
+        },
+        horizontalRule() {
+            return '\n\n---\n\n';
+        },
+        image(src, alt, title) {
+            const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+            return `![${alt.replace(/[\\[\]]/g, '\\$&')}](${formatLinkDestination(src)}${titlePart})`;
+        },
+        figure(content, caption) {
+            // The caption goes on the line under the image, in italics that don't clash with emphasis inside it
+            const captionLine = caption.trim() ? `\n${wrapInline(caption.trim(), '_')}` : '';
+            return `${content.trim()}${captionLine}\n\n`;
+        },
+        link(href, content) {
+            return `[${content}](${formatLinkDestination(href)})`;
+        },
+        checkbox(checked) {
+            return checked ? '[x] ' : '[ ] ';
+        },
+        definitionList(content) {
+            return `${content}\n`;
+        },
+        definitionTerm(content) {
+            return `**${content.trim()}**\n\n`;
+        },
+        definitionDescription(content) {
+            return `${content.trim()}\n\n`;
+        },
+        blockquote(content) {
+            // Every line of the quote needs the marker, including blank lines between paragraphs
+            const quoted = content.trim()
+                .split('\n')
+                .map(line => (line ? `> ${line}` : '>'))
+                .join('\n');
+            return `${quoted}\n\n`;
+        },
+        lineBreak() {
+            // Trailing double space makes a hard line break instead of a soft one
+            return '  \n';
+        },
+        citation(href, sourceNumber, label) {
+            switch (citationStyle) {
+                case 'footnotes':
+                    return `[^${label}]`;
+                case 'reference':
+                    return ` [\[${sourceNumber}\]][${label}]`;
+                default:
+                    return ` [\[${sourceNumber}\]](${href})`;
+            }
+        },
+        math(latex, display) {
+            return display ? `\n\n$$\n${latex}\n$$\n\n` : `$${latex}$`;
+        },
+        inlineCode(text) {
+            return renderInlineCode(text);
+        },
+        codeBlock(code, language) {
+            const fence = getBacktickFence(code, 3);
+            return `${fence}${language}\n${code}\n${fence}\n\n`;
+        },
+        list(ordered, items) {
+            return renderIndentedList(ordered, items, '-');
+        },
+        table(headerCells, alignments, rows) {
+            let markdown = '';
+            markdown += '| ' + headerCells.map(sanitizeHeadingContent).join(' | ') + ' |\n';
+            markdown += '| ' + alignments.map(align => alignmentMarkers[align] || '---').join(' | ') + ' |\n';
+            for (const row of rows) {
+                markdown += '| ' + row.map(sanitizeCellContent).join(' | ') + ' |\n';
+            }
+            return markdown + '\n';
+        },
+        rawHtml(html) {
+            return `${html.trim()}\n\n`;
+        },
+        sourcesSection(sources, headingLevel) {
+            // Inline links carry their own URLs, other styles need the numbered list
+            if (citationStyle === 'inline' || sources.sourceMap.size === 0) {
+                return '';
+            }
+
+            let markdown = `${'#'.repeat(Math.min(headingLevel, 6))} Sources\n\n`;
+            const definitions = [];
+
+            for (const source of getRegisteredSources(sources)) {
+                const titlePart = source.title ? `${escapeContent(source.title)}, ` : '';
+                if (citationStyle === 'footnotes') {
+                    markdown += `[^${source.label}]: ${titlePart}<${source.primaryLink}>\n`;
+                    for (const link of source.mergedLinks) {
+                        markdown += `    - <${link}>\n`;
+                    }
+                    continue;
                 }
-                if (headerTrs.length > 0) {
-                    headerRow = headerTrs[0];
+
+                markdown += `${source.sourceNumber}. ${titlePart}<${source.primaryLink}>\n`;
+                for (const link of source.mergedLinks) {
+                    markdown += `    - <${link}>\n`;
                 }
+                definitions.push(`[${source.label}]: <${source.primaryLink}>`);
             }
 
-            // Get body rows from tbody or direct tr children
-            const tbody = tableNode.querySelector('tbody');
-            if (tbody) {
-                bodyRows.push(...tbody.querySelectorAll('tr'));
-            } else {
-                // No tbody, get tr elements directly from table
-                const directTrs = Array.from(tableNode.children).filter(child =>
-                    child.tagName.toLowerCase() === 'tr'
-                );
-                bodyRows.push(...directTrs);
+            if (definitions.length > 0) {
+                markdown += '\n' + definitions.join('\n') + '\n';
             }
 
-            // If no header row found in thead, use first body row as header
-            if (!headerRow && bodyRows.length > 0) {
-                headerRow = bodyRows.shift();
-            }
+            return '\n' + markdown;
+        },
+        document(body, meta) {
+            const markdown = cleanMarkdown(body);
+            return includeFrontmatter ? generateFrontmatter(meta) + markdown : markdown;
+        },
+    };
 
-            // If still no rows, return empty string
-            if (!headerRow && bodyRows.length === 0) {
-                console.warn('Table has no rows, skipping');
+    // Stylesheet embedded in standalone HTML exports
+    const htmlDocumentStyles = `
+        body { margin: 0; background: #fff; color: #1f2328; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+        article { max-width: 860px; margin: 0 auto; padding: 32px 24px; }
+        h1, h2, h3, h4, h5, h6 { line-height: 1.25; margin: 1.5em 0 0.5em; }
+        h1 { font-size: 2em; border-bottom: 1px solid #d1d9e0; padding-bottom: 0.3em; }
+        h2 { font-size: 1.5em; border-bottom: 1px solid #d1d9e0; padding-bottom: 0.3em; }
+        a { color: #0969da; }
+        blockquote { margin: 0 0 1em; padding: 0 1em; color: #59636e; border-left: 4px solid #d1d9e0; }
+        code { background: #eff1f3; border-radius: 4px; padding: 0.2em 0.4em; font: 85% ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+        pre { background: #f6f8fa; border-radius: 6px; padding: 16px; overflow: auto; }
+        pre code { background: none; padding: 0; }
+        table { border-collapse: collapse; margin: 0 0 1em; display: block; overflow: auto; }
+        th, td { border: 1px solid #d1d9e0; padding: 6px 13px; }
+        tr:nth-child(2n) td { background: #f6f8fa; }
+        img { max-width: 100%; }
+        sup.citation a { text-decoration: none; }
+        .sources { border-top: 1px solid #d1d9e0; margin-top: 2em; font-size: 0.9em; }
+        .toc ul { list-style: none; padding-left: 0; }
+        .domain { color: #59636e; }
+        .sources li:target { background: #fff8c5; }
+        .meta { color: #59636e; font-size: 0.875em; }
+    `;
+
+    const htmlRenderer = {
+        text(text) {
+            return escapeHtml(text);
+        },
+        heading(level, content, anchor) {
+            const idAttribute = anchor ? ` id="${escapeHtml(anchor)}"` : '';
+            return `<h${level}${idAttribute}>${content.trim()}</h${level}>\n`;
+        },
+        tableOfContents(entries) {
+            const minLevel = Math.min(...entries.map(entry => entry.level));
+            const items = entries.map(entry => {
+                const indent = entry.level > minLevel ? ` style="margin-left: ${(entry.level - minLevel) * 1.5}em"` : '';
+                return `<li${indent}><a href="#${escapeHtml(entry.anchor)}">${escapeHtml(entry.text)}</a></li>`;
+            });
+            return `<nav class="toc">\n<p><strong>Contents</strong></p>\n<ul>\n${items.join('\n')}\n</ul>\n</nav>\n`;
+        },
+        paragraph(content) {
+            return `<p>${content.trim()}</p>\n`;
+        },
+        strong(content) {
+            return `<strong>${content}</strong>`;
+        },
+        emphasis(content) {
+            return `<em>${content}</em>`;
+        },
+        strikethrough(content) {
+            return `<del>${content}</del>`;
+        },
+        script(tagName, content) {
+            return `<${tagName}>${content}</${tagName}>`;
+        },
+        horizontalRule() {
+            return '<hr>\n';
+        },
+        image(src, alt, title) {
+            const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${titleAttribute}>`;
+        },
+        figure(content, caption) {
+            const captionElement = caption.trim() ? `<figcaption>${caption.trim()}</figcaption>\n` : '';
+            return `<figure>\n${content.trim()}\n${captionElement}</figure>\n`;
+        },
+        link(href, content) {
+            return `<a href="${escapeHtml(href)}">${content}</a>`;
+        },
+        checkbox(checked) {
+            return `<input type="checkbox" disabled${checked ? ' checked' : ''}> `;
+        },
+        definitionList(content) {
+            return `<dl>\n${content.trim()}\n</dl>\n`;
+        },
+        definitionTerm(content) {
+            return `<dt>${content.trim()}</dt>\n`;
+        },
+        definitionDescription(content) {
+            return `<dd>${content.trim()}</dd>\n`;
+        },
+        blockquote(content) {
+            return `<blockquote>\n${content.trim()}\n</blockquote>\n`;
+        },
+        lineBreak() {
+            return '<br>\n';
+        },
+        citation(href, sourceNumber, label) {
+            // Citations jump to their entry in the Sources list, which links out to the page
+            return `<sup class="citation"><a href="#source-${escapeHtml(label)}" title="${escapeHtml(href)}">[${sourceNumber}]</a></sup>`;
+        },
+        math(latex, display) {
+            return display
+                ? `<div class="math">\\[${escapeHtml(latex)}\\]</div>\n`
+                : `<span class="math">\\(${escapeHtml(latex)}\\)</span>`;
+        },
+        inlineCode(text) {
+            return `<code>${escapeHtml(text)}</code>`;
+        },
+        codeBlock(code, language) {
+            const classAttribute = language ? ` class="language-${escapeHtml(language)}"` : '';
+            return `<pre><code${classAttribute}>${escapeHtml(code)}</code></pre>\n`;
+        },
+        list(ordered, items) {
+            const tagName = ordered ? 'ol' : 'ul';
+            const listItems = items
+                .map(item => `<li${ordered ? ` value="${item.number}"` : ''}>${item.content}</li>\n`)
+                .join('');
+            return `<${tagName}>\n${listItems}</${tagName}>\n`;
+        },
+        table(headerCells, alignments, rows) {
+            const renderCell = (tagName, content, i) => {
+                const style = alignments[i] ? ` style="text-align: ${alignments[i]}"` : '';
+                return `<${tagName}${style}>${content.trim()}</${tagName}>`;
+            };
+            let html = '<table>\n<thead>\n<tr>';
+            html += headerCells.map((cell, i) => renderCell('th', cell, i)).join('');
+            html += '</tr>\n</thead>\n<tbody>\n';
+            for (const row of rows) {
+                html += '<tr>' + row.map((cell, i) => renderCell('td', cell, i)).join('') + '</tr>\n';
+            }
+            return html + '</tbody>\n</table>\n';
+        },
+        rawHtml(html) {
+            return `${html.trim()}\n`;
+        },
+        sourcesSection(sources, headingLevel) {
+            if (sources.sourceMap.size === 0) {
                 return '';
             }
 
-            // Process header row
-            const headerCells = [];
-            if (headerRow) {
-                const cells = headerRow.querySelectorAll('th, td');
-                for (const cell of cells) {
-                    const cellContent = processNode(cell, true);
-                    headerCells.push(sanitizeHeadingContent(cellContent));
+            const level = Math.min(headingLevel, 6);
+            let html = `<section class="sources">\n<h${level}>Sources</h${level}>\n<ol>\n`;
+            for (const source of getRegisteredSources(sources)) {
+                html += `<li id="source-${escapeHtml(source.label)}" value="${source.sourceNumber}">`;
+                html += `<a href="${escapeHtml(source.primaryLink)}">${escapeHtml(source.title || source.primaryLink)}</a>`;
+                if (source.title && source.domain) {
+                    html += ` <span class="domain">${escapeHtml(source.domain)}</span>`;
+                }
+                if (source.mergedLinks.length > 0) {
+                    html += '<ul>' + source.mergedLinks
+                        .map(link => `<li><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></li>`)
+                        .join('') + '</ul>';
                 }
+                html += '</li>\n';
             }
+            return html + '</ol>\n</section>\n';
+        },
+        document(body, meta) {
+            return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(meta.title)}</title>
+<style>${htmlDocumentStyles}</style>
+</head>
+<body>
+<article>
+<p class="meta">Exported from <a href="${escapeHtml(meta.url)}">${escapeHtml(meta.url)}</a> on ${getTodayDate()}</p>
+${body.trim()}
+</article>
+</body>
+</html>
+`;
+        },
+    };
 
-            // If no header cells, return empty string
-            if (headerCells.length === 0) {
-                console.warn('Table has no header cells, skipping');
+    const textRenderer = {
+        text(text) {
+            return text;
+        },
+        heading(level, content) {
+            // Underline the top two levels so the outline survives without markup
+            const title = content.trim();
+            const underline = level <= 2 ? `\n${(level === 1 ? '=' : '-').repeat(title.length)}` : '';
+            return `${title}${underline}\n\n`;
+        },
+        tableOfContents(entries) {
+            const minLevel = Math.min(...entries.map(entry => entry.level));
+            const lines = entries.map(entry => `${'  '.repeat(entry.level - minLevel)}- ${entry.text}`);
+            return `Contents\n\n${lines.join('\n')}\n\n`;
+        },
+        paragraph(content) {
+            return `${content.trim()}\n\n`;
+        },
+        strong(content) {
+            return content;
+        },
+        emphasis(content) {
+            return content;
+        },
+        strikethrough(content) {
+            return content;
+        },
+        script(tagName, content) {
+            return content;
+        },
+        horizontalRule() {
+            return '\n\n----------\n\n';
+        },
+        image(src, alt) {
+            return alt ? `[Image: ${alt}]` : '[Image]';
+        },
+        figure(content, caption) {
+            return `${content.trim()}\n${caption.trim()}\n\n`;
+        },
+        link(href, content) {
+            return `${content} (${href})`;
+        },
+        checkbox(checked) {
+            return checked ? '[x] ' : '[ ] ';
+        },
+        definitionList(content) {
+            return `${content}\n`;
+        },
+        definitionTerm(content) {
+            return `${content.trim()}\n`;
+        },
+        definitionDescription(content) {
+            return `    ${content.trim()}\n\n`;
+        },
+        blockquote(content) {
+            const quoted = content.trim()
+                .split('\n')
+                .map(line => (line ? `> ${line}` : '>'))
+                .join('\n');
+            return `${quoted}\n\n`;
+        },
+        lineBreak() {
+            return '\n';
+        },
+        citation(href, sourceNumber) {
+            return ` [${sourceNumber}]`;
+        },
+        math(latex, display) {
+            return display ? `\n\n${latex}\n\n` : latex;
+        },
+        inlineCode(text) {
+            return text;
+        },
+        codeBlock(code) {
+            return `${code.split('\n').map(line => `    ${line}`).join('\n')}\n\n`;
+        },
+        list(ordered, items) {
+            return renderIndentedList(ordered, items, '-');
+        },
+        table(headerCells, alignments, rows) {
+            // Pad columns to a common width so the table reads in a monospace font
+            const allRows = [headerCells, ...rows].map(row => row.map(cell => cell.replace(/\s*\n\s*/g, ' ').trim()));
+            const widths = headerCells.map((_, i) => Math.max(...allRows.map(row => row[i].length)));
+            const renderRow = row => row.map((cell, i) => {
+                return alignments[i] === 'right' ? cell.padStart(widths[i]) : cell.padEnd(widths[i]);
+            }).join(' | ').trimEnd();
+
+            let text = renderRow(allRows[0]) + '\n';
+            text += widths.map(width => '-'.repeat(width)).join('-+-') + '\n';
+            for (const row of allRows.slice(1)) {
+                text += renderRow(row) + '\n';
+            }
+            return text + '\n';
+        },
+        sourcesSection(sources) {
+            if (sources.sourceMap.size === 0) {
                 return '';
             }
 
-            const columnCount = headerCells.length;
+            let text = '\nSources\n-------\n\n';
+            for (const source of getRegisteredSources(sources)) {
+                text += `[${source.sourceNumber}] ${source.title ? `${source.title}, ` : ''}${source.primaryLink}\n`;
+                for (const link of source.mergedLinks) {
+                    text += `    ${link}\n`;
+                }
+            }
+            return text;
+        },
+        document(body) {
+            return cleanMarkdown(body);
+        },
+    };
 
-            // Build markdown table
-            let markdown = '';
+    // Output formats offered by the export buttons
+    const outputFormats = {
+        markdown: { label: 'MD', extension: 'md', mimeType: 'text/markdown', renderer: markdownRenderer },
+        html: { label: 'HTML', extension: 'html', mimeType: 'text/html', renderer: htmlRenderer },
+        text: { label: 'TXT', extension: 'txt', mimeType: 'text/plain', renderer: textRenderer },
+    };
 
-            // Header row
-            markdown += '| ' + headerCells.join(' | ') + ' |\n';
+    // Function to convert HTML content to the output of a renderer
+    // Options:
+    //   sources - source registry to number citations with, shared when converting several elements
+    //   includeSources - whether to append the Sources section for the registry
+    //   sourcesHeadingLevel - heading level of the Sources section, one below the element's title by default
+    //   headingOffset - number of levels to demote headings by when embedding in a larger document
+    //   images - map from img and svg elements to the src to write instead, from collectImageAssets
+    //   anchors - heading anchor registry, shared when converting several elements into one document
+    //   tableOfContentsDepth - deepest heading level (2-6) for a table of contents after the title, 0 for none
+    function convertElement(element, renderer, options = {}) {
+        const sources = options.sources || createSourceRegistry();
+        const includeSources = options.includeSources !== false;
+        const headingOffset = options.headingOffset || 0;
+        const sourcesHeadingLevel = options.sourcesHeadingLevel || 2 + headingOffset;
+        const images = options.images || new Map();
+        const { sourceMap, sourceLinks } = sources;
+        const citationSelector = resolveSelector('citations', element);
+        const codeBlockSelector = resolveSelector('codeBlocks', element);
+        const anchors = options.anchors || createAnchorRegistry();
+        const tableOfContentsDepth = options.tableOfContentsDepth || 0;
 
-            // Separator row
-            markdown += '| ' + headerCells.map(() => '---').join(' | ') + ' |\n';
+        // Give every heading its anchor up front, so the table of contents can link to the headings after it
+        const headingAnchors = new Map();
+        const headingBlockIds = new Map();
+        const tableOfContents = [];
+        const headingPath = [];
+        const headingTextCounts = new Map();
+        const headingPathsSeen = new Set();
+        for (const heading of element.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+            const level = parseInt(heading.tagName[1], 10);
+            const text = getHeadingText(heading, citationSelector);
+            headingAnchors.set(heading, registerAnchor(anchors, text));
+            headingTextCounts.set(text, (headingTextCounts.get(text) || 0) + 1);
 
-            // Body rows
-            for (const row of bodyRows) {
-                const cells = row.querySelectorAll('th, td');
-                const rowCells = [];
+            while (headingPath.length > 0 && headingPath[headingPath.length - 1].level >= level) {
+                headingPath.pop();
+            }
+            headingPath.push({ level, text });
+            if (level >= 2 && level <= tableOfContentsDepth) {
+                const path = headingPath.map(entry => entry.text);
 
-                for (const cell of cells) {
-                    const cellContent = processNode(cell, true);
-                    rowCells.push(sanitizeCellContent(cellContent));
+                // Obsidian resolves a repeated heading path to its first heading, so later ones are linked by block id
+                const pathKey = path.join('\n');
+                let blockId = null;
+                if (headingPathsSeen.has(pathKey) && anchorStyle === 'obsidian') {
+                    blockId = getHeadingBlockId(headingAnchors.get(heading));
+                    headingBlockIds.set(heading, blockId);
                 }
+                headingPathsSeen.add(pathKey);
+                tableOfContents.push({ level, text, anchor: headingAnchors.get(heading), path, blockId });
+            }
+        }
+        for (const entry of tableOfContents) {
+            entry.textIsUnique = headingTextCounts.get(entry.text) === 1;
+        }
+        let tableOfContentsPending = tableOfContents.length > 0;
+
+        // Caption of the figure being processed, used as alt text for images without one
+        let figureCaption = '';
+
+        // Helper function to expand colspan/rowspan into a rectangular grid of cell slots
+        function buildTableGrid(rows) {
+            const grid = rows.map(() => []);
+
+            rows.forEach((row, rowIndex) => {
+                let columnIndex = 0;
+                for (const cell of row.cells) {
+                    // Skip slots already taken by a rowspan from a previous row
+                    while (grid[rowIndex][columnIndex]) {
+                        columnIndex++;
+                    }
+
+                    const colspan = Math.min(Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1), 1000);
+                    let rowspan = parseInt(cell.getAttribute('rowspan'), 10);
+                    if (Number.isNaN(rowspan) || rowspan < 0) {
+                        rowspan = 1;
+                    }
+                    // rowspan="0" spans to the end of the table
+                    rowspan = Math.min(rowspan || rows.length, rows.length - rowIndex);
 
-                // Handle column count mismatches
-                if (rowCells.length < columnCount) {
-                    const missing = columnCount - rowCells.length;
-                    rowCells.push(...Array(missing).fill(''));
-                    console.warn(`Table row has fewer cells than header (${rowCells.length} vs ${columnCount}), padding with empty cells`);
-                } else if (rowCells.length > columnCount) {
-                    console.warn(`Table row has more cells than header (${rowCells.length} vs ${columnCount}), truncating`);
-                    rowCells.splice(columnCount);
+                    for (let rowOffset = 0; rowOffset < rowspan; rowOffset++) {
+                        for (let colOffset = 0; colOffset < colspan; colOffset++) {
+                            grid[rowIndex + rowOffset][columnIndex + colOffset] = { cell, rowOffset, colOffset };
+                        }
+                    }
+                    columnIndex += colspan;
                 }
+            });
 
-                markdown += '| ' + rowCells.join(' | ') + ' |\n';
-            }
+            const columnCount = grid.reduce((count, gridRow) => Math.max(count, gridRow.length), 0);
+            return grid.map(gridRow => Array.from({ length: columnCount }, (_, i) => gridRow[i] || null));
+        }
 
-            return markdown + '\n';
+        // Helper function to read a cell's horizontal alignment
+        function getCellAlignment(cell) {
+            const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+            return ['left', 'center', 'right'].includes(align) ? align : null;
         }
 
-        function renderCitationLink(href, sourceNumber) {
-            return ` [\[${sourceNumber}\]](${href})`;
+        // Helper function to decide whether a table can't be expressed as a plain grid without losing data
+        function isComplexTable(tableNode) {
+            if (tableNode.querySelector('table')) {
+                return true;
+            }
+            return Array.from(tableNode.rows).some(row => Array.from(row.cells).some(cell =>
+                cell.querySelector('pre, ul, ol, blockquote') || cell.querySelectorAll('p').length > 1
+            ));
         }
-        
-        function processNode(node, inTable = false) {
+
+        // Helper function to render a table as clean inline HTML, keeping spans and numbering citations
+        function renderHtmlFallback(node, inPre = false) {
             if (node.nodeType === Node.TEXT_NODE) {
-                return escapeContent(node.textContent);
+                // Whitespace between rows, sections and list items is only the page's source formatting
+                const parentTag = node.parentNode ? node.parentNode.nodeName.toLowerCase() : '';
+                if (!node.textContent.trim() && ['table', 'thead', 'tbody', 'tfoot', 'tr', 'ul', 'ol'].includes(parentTag)) {
+                    return '';
+                }
+
+                const text = escapeHtml(node.textContent);
+                // A blank line would end the HTML block, so newlines are kept only as entities
+                return inPre ? text.replace(/\n/g, '&#10;') : text.replace(/\s+/g, ' ');
             }
 
             if (node.nodeType !== Node.ELEMENT_NODE) {
@@ -175,315 +958,3015 @@
 
             const tagName = node.tagName.toLowerCase();
 
-            // Handle tables specially - need structure, not flattened content
-            if (tagName === 'table') {
-                if (inTable) {
-                    console.warn('Nested table detected, skipping');
-                    return '';
-                }
-                return processTable(node);
+            const math = getMathSource(node);
+            if (math) {
+                return math.latex ? escapeHtml(`$${math.latex.replace(/\s*\n\s*/g, ' ')}$`) : '';
             }
 
-            let content = '';
+            if (node.matches(citationSelector)) {
+                const href = getCitationHref(node);
+                return href ? ` <a href="${escapeHtml(href)}">[${registerSource(href, node)}]</a>` : '';
+            }
 
-            // Process child nodes
-            for (const child of node.childNodes) {
-                content += processNode(child, inTable);
+            // Links that aren't citations keep their text and point where they did
+            if (tagName === 'a') {
+                const href = node.getAttribute('href');
+                const content = renderHtmlFallbackChildren(node, inPre);
+                return href ? `<a href="${escapeHtml(href)}">${content}</a>` : content;
             }
 
-            switch (tagName) {
-                case 'h1':
-                    return `# ${content.trim()}\n\n`;
-                case 'h2':
-                    return `## ${content.trim()}\n\n`;
-                case 'h3':
-                    return `### ${content.trim()}\n\n`;
-                case 'h4':
-                    return `#### ${content.trim()}\n\n`;
-                case 'h5':
-                    return `##### ${content.trim()}\n\n`;
-                case 'h6':
-                    return `###### ${content.trim()}\n\n`;
-                case 'p':
-                    return `${content.trim()}\n\n`;
-                case 'strong':
-                case 'b':
-                    return `**${content}**`;
-                case 'em':
-                case 'i':
-                    return `*${content}*`;
-                case 'ul':
-                    return `${content}\n`;
-                case 'ol':
-                    return `${content}\n`;
-                case 'li':
-                    return `- ${content.trim()}\n`;
-                case 'blockquote':
-                    return `> ${content.trim()}\n\n`;
-                case 'code':
-                    return `\`${content}\``;
-                case 'pre':
-                    return `\`\`\`\n${content}\n\`\`\`\n\n`;
-                case 'a': {
-                    const href = node.getAttribute('href');
-                    if (!href) {
-                        return content;
-                    }
+            const content = renderHtmlFallbackChildren(node, inPre || tagName === 'pre');
+            if (!htmlFallbackTags.includes(tagName)) {
+                return content;
+            }
 
-                    // Skip if this link is inside a citation span (already handled)
-                    if (node.closest('span[data-state="closed"]')) {
-                        return '';
-                    }
+            const attributes = htmlFallbackAttributes
+                .filter(name => node.hasAttribute(name))
+                .map(name => ` ${name}="${escapeHtml(node.getAttribute(name))}"`)
+                .join('');
 
-                    const baseUrl = getBaseUrl(href);
+            if (tagName === 'br' || tagName === 'hr') {
+                return `<${tagName}>`;
+            }
 
-                    // Check if we've seen this base URL before
-                    if (!sourceMap.has(baseUrl)) {
-                        sourceMap.set(baseUrl, sourceCounter);
-                        sourceCounter++;
-                    }
+            // Put table structure on separate lines to keep the output readable
+            const lineBreak = ['table', 'caption', 'thead', 'tbody', 'tfoot', 'tr'].includes(tagName) ? '\n' : '';
+            const openingBreak = ['table', 'thead', 'tbody', 'tfoot', 'tr'].includes(tagName) ? '\n' : '';
+            return `<${tagName}${attributes}>${openingBreak}${content.trim()}${openingBreak}</${tagName}>${lineBreak}`
+                .replace(/\n{2,}/g, '\n');
+        }
+
+        function renderHtmlFallbackChildren(node, inPre) {
+            return Array.from(node.childNodes)
+                .map(child => renderHtmlFallback(child, inPre))
+                .join('');
+        }
+
+        // Helper function to process tables while preserving structure
+        function processTable(tableNode) {
+            // Nested tables and block content in cells don't fit a plain grid, so keep them as HTML where possible
+            if (renderer.rawHtml && isComplexTable(tableNode)) {
+                return renderer.rawHtml(renderHtmlFallback(tableNode));
+            }
+
+            const rows = Array.from(tableNode.rows);
+            if (rows.length === 0) {
+                console.warn('Table has no rows, skipping');
+                return '';
+            }
 
-                    const sourceNumber = sourceMap.get(baseUrl);
-                    return renderCitationLink(href, sourceNumber);
+            // Header rows come from thead, otherwise from leading rows made only of th cells
+            let headerRowCount = rows.filter(row => row.parentNode.tagName.toLowerCase() === 'thead').length;
+            if (headerRowCount === 0) {
+                while (headerRowCount < rows.length - 1 &&
+                    rows[headerRowCount].cells.length > 0 &&
+                    Array.from(rows[headerRowCount].cells).every(cell => cell.tagName.toLowerCase() === 'th')) {
+                    headerRowCount++;
                 }
-                case 'br':
-                    return '\n';
-                case 'span': {
-                    // Handle citation spans with data-state="closed"
-                    if (node.getAttribute('data-state') !== 'closed') {
-                        return content;
+            }
+            // Fall back to using the first row as header
+            headerRowCount = Math.max(headerRowCount, 1);
+
+            // thead may not be the first child, so order header rows before body rows
+            const orderedRows = [
+                ...rows.filter(row => row.parentNode.tagName.toLowerCase() === 'thead'),
+                ...rows.filter(row => row.parentNode.tagName.toLowerCase() !== 'thead'),
+            ];
+            const grid = buildTableGrid(orderedRows);
+            const columnCount = grid[0].length;
+
+            if (columnCount === 0) {
+                console.warn('Table has no header cells, skipping');
+                return '';
+            }
+
+            // Process every cell exactly once so citations are numbered in reading order
+            const cellContents = new Map();
+            function getCellContent(cell) {
+                if (!cellContents.has(cell)) {
+                    cellContents.set(cell, processNode(cell, true).trim());
+                }
+                return cellContents.get(cell);
+            }
+
+            // Merge multi-row headers into one label per column, e.g. "2024 / Q1"
+            const headerCells = [];
+            for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+                const labels = [];
+                for (let rowIndex = 0; rowIndex < headerRowCount; rowIndex++) {
+                    const slot = grid[rowIndex][columnIndex];
+                    if (!slot || slot.rowOffset > 0) {
+                        continue;
+                    }
+                    const label = getCellContent(slot.cell);
+                    if (label && labels[labels.length - 1] !== label) {
+                        labels.push(label);
                     }
+                }
+                headerCells.push(labels.join(' / '));
+            }
 
-                    // Find the nested link
-                    const link = node.querySelector('a[href]');
-                    if (!link) {
-                        return '';
+            // Keep the first explicit alignment found in each column
+            const alignments = [];
+            for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+                let alignment = null;
+                for (const gridRow of grid) {
+                    const slot = gridRow[columnIndex];
+                    alignment = slot ? getCellAlignment(slot.cell) : null;
+                    if (alignment) {
+                        break;
                     }
+                }
+                alignments.push(alignment);
+            }
+
+            // Body rows repeat rowspan content on every row it covers, colspan fillers stay empty
+            const bodyRows = grid.slice(headerRowCount).map(gridRow => gridRow.map(slot => {
+                if (!slot || slot.colOffset > 0) {
+                    return '';
+                }
+                return getCellContent(slot.cell);
+            }));
 
-                    const href = link.getAttribute('href');
-                    const baseUrl = getBaseUrl(href);
+            return renderer.table(headerCells, alignments, bodyRows);
+        }
 
-                    // Check if we've seen this base URL before
-                    if (!sourceMap.has(baseUrl)) {
-                        sourceMap.set(baseUrl, sourceCounter);
-                        sourceCounter++;
-                    }
+        // Helper function to process ordered and unordered lists
+        function processList(listNode, inTable) {
+            const ordered = listNode.tagName.toLowerCase() === 'ol';
+            const start = parseInt(listNode.getAttribute('start'), 10);
+            let itemNumber = Number.isNaN(start) ? 1 : start;
+            const items = [];
+            let output = '';
 
-                    const sourceNumber = sourceMap.get(baseUrl);
-                    return renderCitationLink(href, sourceNumber);
+            for (const child of listNode.children) {
+                if (child.tagName.toLowerCase() !== 'li') {
+                    output += processNode(child, inTable);
+                    continue;
                 }
-                case 'thead':
-                case 'tbody':
-                case 'tr':
-                case 'th':
-                case 'td':
-                    return content; // Pass through content for nested processing
-                default:
-                    return content;
+
+                // An explicit value on the item restarts numbering from there
+                const value = parseInt(child.getAttribute('value'), 10);
+                if (ordered && !Number.isNaN(value)) {
+                    itemNumber = value;
+                }
+
+                items.push({ number: itemNumber, content: processListItem(child, inTable) });
+                itemNumber++;
             }
+
+            return renderer.list(ordered, items) + output;
         }
 
-        return processNode(element, false);
-    }
+        // Helper function to process code blocks, leaving ChatGPT's header and copy button chrome behind
+        function processCodeBlock(preNode, inTable) {
+            // Code block strategies may match a wrapper around the pre element
+            const codeNode = preNode.querySelector('code') || (preNode.matches('pre') ? null : preNode.querySelector('pre'));
+            const code = (codeNode || preNode).textContent.replace(/\n$/, '');
 
-    // Function to get today's date in YYYY-MM-DD format
-    function getTodayDate() {
-        const today = new Date();
-        return today.toISOString().split('T')[0];
-    }
+            // Table cells cannot hold code blocks, so fall back to single-line inline code
+            if (inTable) {
+                return renderer.inlineCode(code.replace(/\s*\n\s*/g, ' ').trim());
+            }
 
-    // Function to extract title from h1
-    function extractTitle(researchContainer) {
-        const h1 = researchContainer.querySelector('h1');
-        return h1 ? h1.textContent.trim() : 'ChatGPT Research';
-    }
+            return renderer.codeBlock(code, getCodeLanguage(preNode, codeNode));
+        }
 
-    // Function to sanitize title for YAML frontmatter
-    function sanitizeTitle(title) {
-        return title
-            .replace(/:/g, '-') // Replace colons with dashes
-            .replace(/"/g, '\\"') // Escape double quotes
-            .replace(/\\/g, '\\\\') // Escape backslashes
-            .replace(/\n/g, ' ') // Replace newlines with spaces
-            .replace(/\r/g, ' ') // Replace carriage returns with spaces
-            .replace(/\t/g, ' ') // Replace tabs with spaces
-            .replace(/\s+/g, ' ') // Collapse multiple spaces
-            .trim(); // Remove leading/trailing whitespace
-    }
+        // Helper function to process an image, pointing it at its embedded or bundled copy if there is one
+        function processImage(imageNode) {
+            const src = images.get(imageNode) || imageNode.getAttribute('src');
+            if (!src) {
+                return '';
+            }
+            return renderer.image(src, imageNode.getAttribute('alt') || figureCaption, imageNode.getAttribute('title'));
+        }
 
-    // Function to sanitize title for use as filename
-    function sanitizeTitleForFilename(title) {
-        return title
-            .replace(/[<>:"/\\|?*]/g, '-') // Replace invalid filename characters
-            .replace(/\s+/g, '-') // Replace spaces with dashes
-            .replace(/-+/g, '-') // Collapse multiple dashes
-            .replace(/^-|-$/g, '') // Remove leading/trailing dashes
-            .substring(0, 100) // Limit length
-            .trim() || 'chatgpt-research-export'; // Fallback if empty
+        // Helper function to process an inline SVG chart as an image, so it isn't flattened to its text labels.
+        // When images are linked there is no file to link to, so the chart is only named.
+        function processSvg(svgNode) {
+            if (!isChartSvg(svgNode)) {
+                return '';
+            }
+            const label = getSvgLabel(svgNode) || figureCaption || 'Chart';
+            const src = images.get(svgNode);
+            if (!src) {
+                return renderer.emphasis(renderer.text(`[Chart: ${label}]`, { verbatim: false, atLineStart: () => false }));
+            }
+            return renderer.image(src, label, null);
+        }
+
+        // Helper function to give an image or chart placed between blocks, rather than inside text, a paragraph of its own
+        function renderStandaloneImage(node, inTable, content) {
+            const parent = node.parentNode;
+            const standsAlone = parent === element || ['div', 'section', 'article'].includes(parent.tagName.toLowerCase());
+            return standsAlone && !inTable && content ? renderer.paragraph(content) : content;
+        }
+
+        // Helper function to process a figure, with its caption under the image
+        function processFigure(figureNode, inTable) {
+            const captionNode = Array.from(figureNode.children).find(child => child.tagName.toLowerCase() === 'figcaption');
+            const previousCaption = figureCaption;
+            figureCaption = captionNode ? captionNode.textContent.replace(/\s+/g, ' ').trim() : '';
+
+            let content = '';
+            for (const child of figureNode.childNodes) {
+                if (child !== captionNode) {
+                    content += processNode(child, inTable);
+                }
+            }
+            figureCaption = previousCaption;
+
+            const caption = captionNode ? processNode(captionNode, inTable) : '';
+            if (inTable) {
+                return `${content.trim()} ${caption.trim()}`.trim();
+            }
+            return renderer.figure(content, caption);
+        }
+
+        // Helper function to process the content of a single list item
+        function processListItem(itemNode, inTable) {
+            let content = '';
+
+            for (const child of itemNode.childNodes) {
+                const isNestedList = child.nodeType === Node.ELEMENT_NODE &&
+                    ['ul', 'ol'].includes(child.tagName.toLowerCase());
+
+                if (isNestedList) {
+                    // Keep nested lists tight against the text that introduces them
+                    content = content.replace(/\s+$/, '');
+                    content += content ? '\n' : '';
+                }
+
+                content += processNode(child, inTable);
+            }
+
+            return content.trim();
+        }
+
+        // Helper function to number a cited link, reusing the number of its base URL
+        function registerSource(href, citationNode) {
+            const baseUrl = getBaseUrl(href);
+
+            // Check if we've seen this base URL before
+            if (!sourceMap.has(baseUrl)) {
+                sourceMap.set(baseUrl, sources.counter);
+                sourceLinks.set(baseUrl, []);
+                sources.sourceDetails.set(baseUrl, { title: '', domain: getLinkDomain(href), accessed: getTodayDate() });
+                sources.counter++;
+            }
+
+            // Keep the first title shown for the source, the one it was introduced with
+            const details = sources.sourceDetails.get(baseUrl);
+            if (!details.title) {
+                details.title = getCitationTitle(citationNode, href);
+            }
+
+            // Remember every distinct deep link merged under this base URL
+            const links = sourceLinks.get(baseUrl);
+            if (!links.includes(href)) {
+                links.push(href);
+            }
+
+            return sourceMap.get(baseUrl);
+        }
+
+        function renderCitation(href, citationNode) {
+            const sourceNumber = registerSource(href, citationNode);
+            return renderer.citation(href, sourceNumber, `${sources.labelPrefix}${sourceNumber}`);
+        }
+
+        function processNode(node, inTable = false) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return renderer.text(node.textContent, {
+                    // Code is emitted verbatim, so dollar signs in it must not be escaped
+                    verbatim: Boolean(node.parentElement && node.parentElement.closest('code, pre')),
+                    atLineStart: () => isAtLineStart(node),
+                });
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return '';
+            }
+
+            const tagName = node.tagName.toLowerCase();
+
+            // Handle citations specially - the page title they show is replaced by a numbered link
+            if (node.matches(citationSelector)) {
+                const href = getCitationHref(node);
+                return href ? renderCitation(href, node) : '';
+            }
+
+            // Handle tables specially - need structure, not flattened content
+            if (tagName === 'table') {
+                return processTable(node);
+            }
+
+            // Handle math specially - emit the LaTeX source instead of the rendered glyphs
+            const math = getMathSource(node);
+            if (math) {
+                if (!math.latex) {
+                    return '';
+                }
+                if (math.display && !inTable) {
+                    return renderer.math(math.latex, true);
+                }
+                return renderer.math(math.latex.replace(/\s*\n\s*/g, ' '), false);
+            }
+
+            // Handle code specially - its text is literal and must not pick up nested formatting
+            if (tagName === 'pre' || node.matches(codeBlockSelector)) {
+                return processCodeBlock(node, inTable);
+            }
+            if (tagName === 'code') {
+                return node.textContent ? renderer.inlineCode(node.textContent) : '';
+            }
+
+            // Handle lists specially - items need markers and indentation, not flattened content
+            if (tagName === 'ul' || tagName === 'ol') {
+                return processList(node, inTable);
+            }
+
+            // Handle figures and SVG charts specially - captions and chart labels are not body text
+            if (tagName === 'figure') {
+                return processFigure(node, inTable);
+            }
+            if (tagName === 'svg') {
+                return renderStandaloneImage(node, inTable, processSvg(node));
+            }
+
+            let content = '';
+
+            // Process child nodes
+            for (const child of node.childNodes) {
+                content += processNode(child, inTable);
+            }
+
+            switch (tagName) {
+                case 'h1':
+                case 'h2':
+                case 'h3':
+                case 'h4':
+                case 'h5':
+                case 'h6': {
+                    const heading = renderer.heading(Math.min(parseInt(tagName[1], 10) + headingOffset, 6), content, headingAnchors.get(node), headingBlockIds.get(node));
+
+                    // The table of contents goes right after the title
+                    if (tableOfContentsPending && tagName === 'h1' && !inTable) {
+                        tableOfContentsPending = false;
+                        return heading + renderer.tableOfContents(tableOfContents);
+                    }
+                    return heading;
+                }
+                case 'p':
+                    return renderer.paragraph(content);
+                case 'strong':
+                case 'b':
+                    return renderer.strong(content);
+                case 'em':
+                case 'i':
+                    return renderer.emphasis(content);
+                case 'del':
+                case 's':
+                case 'strike':
+                    return renderer.strikethrough(content);
+                case 'sup':
+                case 'sub':
+                    return renderer.script(tagName, content);
+                case 'hr':
+                    return renderer.horizontalRule();
+                case 'img':
+                    return renderStandaloneImage(node, inTable, processImage(node));
+                case 'input':
+                    // Task list checkboxes
+                    if (node.getAttribute('type') !== 'checkbox') {
+                        return '';
+                    }
+                    return renderer.checkbox(node.checked);
+                case 'dl':
+                    return renderer.definitionList(content);
+                case 'dt':
+                    return renderer.definitionTerm(content);
+                case 'dd':
+                    return renderer.definitionDescription(content);
+                case 'li':
+                    return renderer.list(false, [{ number: 1, content: content.trim() }]);
+                case 'blockquote':
+                    return renderer.blockquote(content);
+                case 'a': {
+                    // Citations were handled above, so this is a link written into the answer itself
+                    const href = node.getAttribute('href');
+                    if (!href || !content.trim()) {
+                        return content;
+                    }
+
+                    return renderer.link(href, content);
+                }
+                case 'br':
+                    return renderer.lineBreak();
+                case 'thead':
+                case 'tbody':
+                case 'tr':
+                case 'th':
+                case 'td':
+                    return content; // Pass through content for nested processing
+                default:
+                    return content;
+            }
+        }
+
+        let output = processNode(element, false);
+        if (tableOfContentsPending) {
+            output = renderer.tableOfContents(tableOfContents) + output;
+        }
+        return includeSources ? output + renderer.sourcesSection(sources, sourcesHeadingLevel) : output;
+    }
+
+    // Function to convert HTML content to markdown
+    function convertToMarkdown(element, options = {}) {
+        return convertElement(element, markdownRenderer, options);
+    }
+
+    // Function to get today's date in YYYY-MM-DD format
+    function getTodayDate() {
+        const today = new Date();
+        return today.toISOString().split('T')[0];
+    }
+
+    // Function to extract title from h1
+    function extractTitle(researchContainer) {
+        const h1 = researchContainer.querySelector('h1');
+        return h1 ? h1.textContent.trim() : 'ChatGPT Research';
+    }
+
+    // Function to truncate text to a number of characters, and optionally UTF-8 bytes,
+    // without splitting a character or emoji
+    function truncateText(text, maxLength, maxBytes = Infinity) {
+        const characters = typeof Intl !== 'undefined' && Intl.Segmenter
+            ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment)
+            : Array.from(text); // Code points at least keep surrogate pairs together
+        const kept = characters.slice(0, maxLength);
+
+        // Filesystems limit names in bytes, which multi-byte characters reach long before the character limit
+        const encoder = new TextEncoder();
+        let byteLength = encoder.encode(kept.join('')).length;
+        while (byteLength > maxBytes) {
+            byteLength -= encoder.encode(kept.pop()).length;
+        }
+        return kept.join('');
+    }
+
+    // Function to sanitize title for use as filename
+    function sanitizeTitleForFilename(title) {
+        return truncateText(title
+            .replace(/[<>:"/\\|?*]/g, '-') // Replace invalid filename characters
+            .replace(/\s+/g, '-') // Replace spaces with dashes
+            .replace(/-+/g, '-') // Collapse multiple dashes
+            .replace(/^-|-$/g, ''), 100) // Remove leading/trailing dashes, limit length
+            .trim() || 'chatgpt-research-export'; // Fallback if empty
+    }
+
+    // Names Windows reserves for devices, whatever the extension and with spaces before it ignored
+    const reservedFilenamePattern = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(?= *(\.|$))/i;
+
+    // Function to make one path segment safe on Windows, macOS and Linux
+    function sanitizeFilenameSegment(segment, maxLength) {
+        let clean = segment
+            .replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, '-') // Replace invalid filename characters
+            .replace(/\s+/g, ' ') // Collapse whitespace
+            .trim();
+        clean = truncateText(clean, maxLength, 200)
+            .replace(/[. ]+$/, '') // Windows drops trailing dots and spaces
+            .replace(/^[. ]+/, ''); // Leading dots hide files on macOS and Linux
+        return clean.replace(reservedFilenamePattern, '$1_'); // CON.txt becomes CON_.txt
+    }
+
+    // Function to build the relative export path, without extension, from the filename template.
+    // Slashes in the template create folders inside zip archives.
+    function buildExportPath(title, url, template = getSetting('filenameTemplate')) {
+        const values = {
+            date: getTodayDate(),
+            title: title.replace(/[/\\]/g, '-'),
+            slug: sanitizeTitleForFilename(title),
+            conversation_id: getConversationId(url),
+        };
+        const segments = renderTemplate(template, values)
+            .split('/')
+            .map(segment => sanitizeFilenameSegment(segment, 100))
+            .filter(Boolean);
+        return segments.length > 0 ? segments.join('/') : 'chatgpt-research-export';
+    }
+
+    // Function to get the filename for a single download, which can't be placed in a folder
+    function buildExportFilename(title, url, extension) {
+        const path = buildExportPath(title, url);
+        return `${path.split('/').pop()}.${extension}`;
+    }
+
+    // Selector strategies for the parts of ChatGPT's markup the exporter depends on, tried in order.
+    // Later entries are fallbacks for when ChatGPT changes its markup; the settings dialog can replace the lists.
+    const selectorStrategies = {
+        containers: {
+            label: 'Research container',
+            defaults: ['.deep-research-result', '[data-testid*="deep-research-result"]', '[class*="deep-research-report"]'],
+        },
+        citations: {
+            label: 'Citation',
+            defaults: ['span[data-state="closed"]', '[data-testid="webpage-citation-pill"]', '[data-testid*="citation"]'],
+        },
+        codeBlocks: {
+            label: 'Code block',
+            defaults: ['pre', '[data-testid="code-block"]', 'div[class*="code-block"]'],
+        },
+        streamingIndicators: {
+            label: 'Streaming indicator',
+            defaults: ['.result-streaming', '[data-testid="stop-button"]', 'button[aria-label="Stop streaming"]'],
+            help: 'CSS selectors, one per line, for signs that ChatGPT is still writing a response; any match counts.',
+        },
+    };
+
+    // Function to get the selector strategies for a part of the page, from the settings
+    function getSelectorStrategies(kind) {
+        return getSetting(`${kind}Selectors`)
+            .split('\n')
+            .map(selector => selector.trim())
+            .filter(Boolean);
+    }
+
+    // Function to check whether a selector is valid CSS, so a broken override can't break the exporter
+    function isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Function to pick the first selector strategy that matches anything within root.
+    // When none match yet, the first valid one is used so content added later is still recognized.
+    function resolveSelector(kind, root = document) {
+        const strategies = getSelectorStrategies(kind).filter(isValidSelector);
+        return strategies.find(selector => root.querySelector(selector)) ||
+            strategies[0] ||
+            selectorStrategies[kind].defaults[0];
+    }
+
+    // Function to get the link of a citation, which is either the citation element itself or nested in it
+    function getCitationHref(citationNode) {
+        const link = citationNode.matches('a[href]') ? citationNode : citationNode.querySelector('a[href]');
+        return link ? link.getAttribute('href') : null;
+    }
+
+    // Function to get the title a citation shows for its source, without ChatGPT's "+2" count of further sources
+    function getCitationTitle(citationNode, href) {
+        const link = citationNode.matches('a[href]') ? citationNode : citationNode.querySelector('a[href]');
+        const candidates = [
+            link && link.getAttribute('title'),
+            citationNode.getAttribute('aria-label'),
+            link && link.getAttribute('aria-label'),
+            citationNode.textContent,
+        ];
+        for (const candidate of candidates) {
+            const title = (candidate || '').replace(/\s+/g, ' ').replace(/\s*\+\d+$/, '').trim();
+            if (title && title !== href) {
+                return title;
+            }
+        }
+        return '';
+    }
+
+    // Function to get the text of a heading as shown, without the page titles of citations in it
+    function getHeadingText(heading, citationSelector) {
+        const clone = heading.cloneNode(true);
+        for (const citation of clone.querySelectorAll(citationSelector)) {
+            citation.remove();
+        }
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // Function to get all deep research containers
+    function getDeepResearchContainers() {
+        return removeNestedElements(Array.from(document.querySelectorAll(resolveSelector('containers'))));
+    }
+
+    // Function to drop elements that are nested inside another element of the same list
+    function removeNestedElements(elements) {
+        return elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+    }
+
+    // Function to get the conversation turns in thread order, each with its author role
+    function getConversationTurns() {
+        let turns = removeNestedElements(Array.from(document.querySelectorAll('[data-testid^="conversation-turn-"]')));
+
+        // Fall back to individual messages when the turn wrappers are missing
+        if (turns.length === 0) {
+            turns = removeNestedElements(Array.from(document.querySelectorAll(`[data-message-author-role], ${resolveSelector('containers')}`)));
+        }
+
+        return turns.map(turn => {
+            const message = turn.matches('[data-message-author-role]') ? turn : turn.querySelector('[data-message-author-role]');
+            let role = message ? message.getAttribute('data-message-author-role') : turn.getAttribute('data-turn');
+            if (!role && turn.querySelector(`${resolveSelector('containers')}, .markdown`)) {
+                role = 'assistant';
+            }
+            return { role: role || 'unknown', element: turn };
+        });
+    }
+
+    // Function to render a user message with a renderer, keeping its line breaks
+    function renderUserMessage(messageElement, renderer) {
+        const textElement = messageElement.querySelector('.whitespace-pre-wrap') || messageElement;
+        return textElement.textContent
+            .trim()
+            .split(/\n{2,}/)
+            .map(paragraph => renderer.paragraph(paragraph
+                .split('\n')
+                .map(line => renderer.text(line.trim(), { verbatim: false, atLineStart: () => true }))
+                .join(renderer.lineBreak())))
+            .join('');
+    }
+
+    // Function to get the title of the current conversation
+    function getConversationTitle() {
+        const title = document.title.replace(/\s*[-|–]\s*ChatGPT\s*$/i, '').trim();
+        return title && title !== 'ChatGPT' ? title : 'ChatGPT Conversation';
+    }
+
+    // Function to convert the whole conversation to one document with labelled turns.
+    // The source registries used are collected into sourceRegistries for the frontmatter.
+    function convertConversation(renderer, sourceRegistries = [], images = new Map()) {
+        const turnLabels = {
+            user: 'User',
+            assistant: 'ChatGPT',
+        };
+        const titleContext = { verbatim: false, atLineStart: () => true };
+        const sharedSources = sharedConversationCitations ? createSourceRegistry() : null;
+        if (sharedSources) {
+            sourceRegistries.push(sharedSources);
+        }
+        const anchors = createAnchorRegistry();
+        let researchCount = 0;
+        let answerCount = 0;
+        let output = renderer.heading(1, renderer.text(getConversationTitle(), titleContext), registerAnchor(anchors, getConversationTitle()));
+
+        for (const turn of getConversationTurns()) {
+            let turnOutput = '';
+            const turnLabel = turnLabels[turn.role] || 'Message';
+            const turnAnchor = registerAnchor(anchors, turnLabel);
+
+            if (turn.role === 'user') {
+                const message = turn.element.matches('[data-message-author-role]')
+                    ? turn.element
+                    : turn.element.querySelector('[data-message-author-role="user"]') || turn.element;
+                turnOutput = renderUserMessage(message, renderer);
+            } else {
+                // Deep research results and regular answers, in the order they appear within the turn
+                const blockSelector = `${resolveSelector('containers')}, .markdown`;
+                const blocks = removeNestedElements(Array.from(turn.element.querySelectorAll(blockSelector)));
+                if (blocks.length === 0 && turn.element.matches(blockSelector)) {
+                    blocks.push(turn.element);
+                }
+
+                for (const block of blocks) {
+                    // Separate numbering needs unique footnote/reference labels for each block:
+                    // 1-, 2-, ... for research results, in the order they appear, and answer1-, ... for other answers
+                    const isResearch = block.matches(resolveSelector('containers'));
+                    const labelPrefix = isResearch ? `${++researchCount}-` : `answer${++answerCount}-`;
+                    const sources = sharedSources || createSourceRegistry(labelPrefix);
+                    if (!sharedSources) {
+                        sourceRegistries.push(sources);
+                    }
+                    turnOutput += convertElement(block, renderer, {
+                        sources,
+                        includeSources: !sharedSources,
+                        headingOffset: 2,
+                        // A research result's sources go under its title, an answer's under the turn, as it has no title
+                        sourcesHeadingLevel: isResearch ? 4 : 3,
+                        images,
+                        anchors,
+                    }) + '\n\n';
+                }
+            }
+
+            if (!turnOutput.trim()) {
+                continue;
+            }
+            output += renderer.heading(2, turnLabel, turnAnchor) + `${turnOutput.trim()}\n\n`;
+        }
+
+        if (sharedSources) {
+            output += renderer.sourcesSection(sharedSources, 2);
+        }
+
+        return output;
+    }
+
+    // Function to quote a value as a double-quoted YAML string
+    function yamlString(value) {
+        const escaped = String(value)
+            .replace(/\\/g, '\\\\') // Escape backslashes
+            .replace(/"/g, '\\"') // Escape double quotes
+            .replace(/\n/g, '\\n') // Escape newlines
+            .replace(/\r/g, '\\r') // Escape carriage returns
+            .replace(/\t/g, '\\t') // Escape tabs
+            .replace(/[\u0000-\u001f\u007f]/g, char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+        return `"${escaped}"`;
+    }
+
+    // Function to format a list of values as a YAML flow sequence
+    function yamlList(values) {
+        return `[${values.map(yamlString).join(', ')}]`;
+    }
+
+    // Function to fill {{placeholder}} tokens in a template, leaving unknown placeholders untouched
+    function renderTemplate(template, values) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+            Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+        ));
+    }
+
+    // Function to get the conversation id from a ChatGPT conversation URL
+    function getConversationId(url) {
+        const match = url.match(/\/c\/([\w-]+)/);
+        return match ? match[1] : '';
+    }
+
+    // Function to count the words of an element's text, leaving out citation page titles
+    function countWords(element) {
+        const clone = element.cloneNode(true);
+        for (const citation of clone.querySelectorAll(`${resolveSelector('citations', element)}, .deep-research-export-buttons`)) {
+            citation.remove();
+        }
+        const words = clone.textContent.trim().split(/\s+/).filter(Boolean);
+        return words.length;
+    }
+
+    // Function to list the distinct domains cited across source registries
+    function getSourceDomains(sourceRegistries) {
+        const domains = new Set();
+        for (const sources of sourceRegistries) {
+            for (const source of getRegisteredSources(sources)) {
+                try {
+                    domains.add(new URL(source.primaryLink).hostname.replace(/^www\./, ''));
+                } catch (e) {
+                    // Relative or malformed links have no domain
+                }
+            }
+        }
+        return Array.from(domains);
+    }
+
+    // Function to count the distinct sources across source registries
+    function countSources(sourceRegistries) {
+        const baseUrls = new Set();
+        for (const sources of sourceRegistries) {
+            for (const baseUrl of sources.sourceMap.keys()) {
+                baseUrls.add(baseUrl);
+            }
+        }
+        return baseUrls.size;
+    }
+
+    // Function to split a comma-separated setting into trimmed, non-empty values
+    function splitList(value) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    // Function to collect the frontmatter fields of a document, as plain values
+    function getFrontmatterFields(meta) {
+        const sourceRegistries = meta.sourceRegistries || [];
+        return {
+            title: meta.title,
+            url: meta.url,
+            conversation_id: getConversationId(meta.url),
+            date: getTodayDate(),
+            source_count: countSources(sourceRegistries),
+            domains: getSourceDomains(sourceRegistries),
+            tags: splitList(getSetting('frontmatterTags')),
+            word_count: meta.wordCount || 0,
+        };
+    }
+
+    // Function to generate frontmatter from the template in settings.
+    // Every placeholder expands to a complete YAML value, so the template must not quote them.
+    function generateFrontmatter(meta) {
+        const fields = getFrontmatterFields(meta);
+        const values = {
+            ...fields,
+            title: yamlString(fields.title),
+            url: yamlString(fields.url),
+            conversation_id: yamlString(fields.conversation_id),
+            domains: yamlList(fields.domains),
+            tags: yamlList(fields.tags),
+        };
+        const yaml = renderTemplate(getSetting('frontmatterTemplate'), values).trim();
+        return `---\n${yaml}\n---\n\n`;
+    }
+
+    // Function to build a CSL-JSON bibliography of the sources, with ids matching the citation labels
+    function buildCslJson(sourceRegistries) {
+        const items = sourceRegistries.flatMap(getRegisteredSources).map((source) => {
+            const [year, month, day] = source.accessed.split('-').map(Number);
+            const item = {
+                id: source.label,
+                type: 'webpage',
+                'citation-number': String(source.sourceNumber),
+                title: source.title || source.primaryLink,
+                'container-title': source.domain,
+                URL: source.primaryLink,
+                accessed: { 'date-parts': [[year, month, day]] },
+            };
+            if (source.mergedLinks.length > 0) {
+                item.note = `Also cited: ${source.mergedLinks.join(', ')}`;
+            }
+            return item;
+        });
+        return `${JSON.stringify(items, null, 2)}\n`;
+    }
+
+    // LaTeX for the characters that are special in a BibTeX field
+    const bibtexEscapes = {
+        '\\': '\\textbackslash{}',
+        '{': '\\{',
+        '}': '\\}',
+        '&': '\\&',
+        '%': '\\%',
+        '$': '\\$',
+        '#': '\\#',
+        '_': '\\_',
+        '~': '\\textasciitilde{}',
+        '^': '\\textasciicircum{}',
+    };
+
+    // Function to escape text for a BibTeX field, in one pass so the braces of replacements aren't escaped again
+    function escapeBibtex(text) {
+        return text.replace(/[\\{}&%$#_~^]/g, char => bibtexEscapes[char]);
+    }
+
+    // Function to build a BibTeX bibliography of the sources, with keys matching the citation labels (source1, ...)
+    function buildBibtex(sourceRegistries) {
+        return sourceRegistries.flatMap(getRegisteredSources).map((source) => {
+            // The url field is taken literally, except that braces would unbalance it
+            const fields = [
+                ['title', `{${escapeBibtex(source.title || source.domain || source.primaryLink)}}`],
+                ['url', source.primaryLink.replace(/[{}]/g, encodeURIComponent)],
+                ['urldate', source.accessed],
+                ['note', escapeBibtex([source.domain, `Accessed ${source.accessed}`].filter(Boolean).join('. '))],
+            ];
+            const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+            return `@misc{source${source.label.replace(/[^A-Za-z0-9]/g, '_')},\n${body}\n}\n`;
+        }).join('\n');
+    }
+
+    // Bibliography files that can be exported next to a document, by setting value
+    const bibliographyFormats = {
+        csl: { extension: 'csl.json', build: buildCslJson },
+        bibtex: { extension: 'bib', build: buildBibtex },
+    };
+
+    // Function to build the bibliography files chosen in the settings for a document at a path without extension
+    function buildBibliographyFiles(sourceRegistries, basePath) {
+        if (!sourceRegistries.some(sources => sources.sourceMap.size > 0)) {
+            return [];
+        }
+        const formats = bibliographyFormat === 'both' ? ['csl', 'bibtex'] : [bibliographyFormat];
+        return formats
+            .filter(format => bibliographyFormats[format])
+            .map(format => ({
+                name: `${basePath}.${bibliographyFormats[format].extension}`,
+                content: bibliographyFormats[format].build(sourceRegistries),
+            }));
+    }
+
+    // Default frontmatter template, without the --- delimiters
+    const defaultFrontmatterTemplate = `title: {{title}}
+url: {{url}}
+date: {{date}}`;
+
+    // Settings edited in the settings dialog, in display order
+    const settingsFields = [
+        {
+            key: 'frontmatterTemplate',
+            label: 'Frontmatter template',
+            type: 'textarea',
+            help: 'YAML between the --- lines. Placeholders: {{title}}, {{url}}, {{conversation_id}}, {{date}}, ' +
+                '{{source_count}}, {{domains}}, {{tags}}, {{word_count}}. Each expands to a complete, escaped YAML value, so don\'t quote them.',
+            defaultValue: defaultFrontmatterTemplate,
+        },
+        {
+            key: 'frontmatterTags',
+            label: 'Tags',
+            type: 'text',
+            help: 'Comma-separated tags for the {{tags}} placeholder.',
+            defaultValue: 'chatgpt, research',
+        },
+        {
+            key: 'filenameTemplate',
+            label: 'Filename template',
+            type: 'text',
+            help: 'Tokens: {{date}}, {{title}}, {{slug}} (title with dashes), {{conversation_id}}. ' +
+                'Slashes create folders inside zip archives; single downloads use the last part.',
+            defaultValue: '{{slug}}',
+            preview: value => {
+                const containers = getDeepResearchContainers();
+                const title = containers.length > 0 ? extractTitle(containers[0]) : 'Example Research Title';
+                return `${buildExportPath(title, window.location.href, value)}.md`;
+            },
+        },
+        {
+            key: 'exportHistoryLimit',
+            label: 'Export history size limit (KB)',
+            type: 'text',
+            help: 'Exports are kept in userscript storage, to download again or compare with the page from "Export History…" ' +
+                'in the menu. When full, older versions of a report are removed first, then the oldest reports. 0 turns history off.',
+            defaultValue: '1024',
+        },
+        {
+            key: 'exportShortcut',
+            label: 'Export shortcut',
+            type: 'text',
+            help: 'Exports the research result nearest the middle of the screen, in the last chosen format. Combine Ctrl, Alt, ' +
+                'Meta (⌘) and Shift with a key, with at least Ctrl, Alt or Meta, e.g. Alt+Shift+E. Leave empty for none.',
+            defaultValue: 'Alt+Shift+E',
+            preview: formatShortcutSetting,
+        },
+        {
+            key: 'copyShortcut',
+            label: 'Copy shortcut',
+            type: 'text',
+            help: 'Copies the research result nearest the middle of the screen, written like the export shortcut.',
+            defaultValue: 'Alt+Shift+C',
+            preview: formatShortcutSetting,
+        },
+        {
+            key: 'sendTargets',
+            label: 'Send to… targets',
+            type: 'textarea',
+            help: 'JSON list of targets for the "Send to…" button. {"name": "Ingest", "type": "http", "url": "http://localhost:8000/ingest"} ' +
+                'POSTs the document and its frontmatter fields as JSON; {"name": "Vault", "type": "obsidian", "vault": "Research", "folder": "ChatGPT"} ' +
+                'creates an Obsidian note. Optional: "template" (the JSON payload or note text, with placeholders), "retries", "headers" (HTTP only).',
+            defaultValue: '[]',
+            preview: (value) => {
+                const { targets, error } = parseSendTargets(value);
+                return error || (targets.length > 0 ? targets.map(target => target.name).join(', ') : 'No targets');
+            },
+        },
+        ...Object.entries(selectorStrategies).map(([kind, strategy]) => ({
+            key: `${kind}Selectors`,
+            label: `${strategy.label} selectors`,
+            type: 'textarea',
+            help: (strategy.help || 'CSS selectors, one per line, tried in order; the first one that matches is used.') +
+                ' Run "Diagnose Page" from the menu to see which ones match.',
+            defaultValue: strategy.defaults.join('\n'),
+        })),
+    ];
+
+    // Function to read a setting edited in the settings dialog
+    function getSetting(key) {
+        const field = settingsFields.find(candidate => candidate.key === key);
+        return getValue(key, field.defaultValue);
+    }
+
+    // Colors of the export buttons, dialogs and notifications in ChatGPT's light and dark themes.
+    // Inline styles use them through CSS variables, so they follow the theme when it changes.
+    const themeColors = {
+        light: {
+            surface: 'white',
+            text: '#1f2328',
+            muted: '#59636e',
+            border: '#d1d9e0',
+            accent: '#2563eb',
+            success: '#1a7f37',
+            warning: '#9a6700',
+            error: '#d1242f',
+            added: '#dafbe1',
+            removed: '#ffebe9',
+            export: '#10a37f',
+            copy: '#6366f1',
+            sections: '#7c3aed',
+            send: '#2563eb',
+            conversation: '#4b5563',
+            'export-all': '#0f766e',
+        },
+        dark: {
+            surface: '#2f2f2f',
+            text: '#ececec',
+            muted: '#b4b4b4',
+            border: '#4e4e4e',
+            accent: '#7aa2ff',
+            success: '#3fb950',
+            warning: '#d29922',
+            error: '#f85149',
+            added: 'rgba(46, 160, 67, 0.25)',
+            removed: 'rgba(248, 81, 73, 0.25)',
+            export: '#0e8a6c',
+            copy: '#4f46e5',
+            sections: '#6d28d9',
+            send: '#1d4ed8',
+            conversation: '#3f3f46',
+            'export-all': '#115e59',
+        },
+    };
+
+    // Function to add the theme colors to the page as CSS variables
+    function installThemeStyles() {
+        if (document.getElementById('research-export-theme')) {
+            return;
+        }
+        const declarations = colors => Object.entries(colors)
+            .map(([name, value]) => `--research-export-${name}: ${value};`)
+            .join(' ');
+
+        // ChatGPT marks its theme with a dark or light class on the root element; without one, follow the system theme
+        const style = document.createElement('style');
+        style.id = 'research-export-theme';
+        style.textContent = `
+            :root { ${declarations(themeColors.light)} }
+            html.dark { ${declarations(themeColors.dark)} }
+            @media (prefers-color-scheme: dark) {
+                html:not(.light) { ${declarations(themeColors.dark)} }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // How long notifications stay on screen, by type
+    const toastDurations = {
+        success: 4000,
+        warning: 6000,
+        error: 8000,
+    };
+
+    // Function to show a notification in the corner of the page without blocking it.
+    // Type is success, warning or error. Options:
+    //   action - { label, onClick } for a button in the notification, such as Undo
+    //   duration - milliseconds before it goes, defaults to the duration of its type
+    function showToast(message, type = 'success', options = {}) {
+        let container = document.querySelector('.deep-research-toasts');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'deep-research-toasts';
+            container.style.cssText = `
+                position: fixed;
+                right: 16px;
+                bottom: 16px;
+                z-index: 10001;
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                width: min(420px, calc(100vw - 32px));
+            `;
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        toast.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            padding: 10px 12px;
+            border-left: 4px solid var(--research-export-${type});
+            border-radius: 8px;
+            background: var(--research-export-surface);
+            color: var(--research-export-text);
+            font-size: 14px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+        `;
+
+        const text = document.createElement('div');
+        text.textContent = message;
+        text.style.cssText = 'flex: 1; overflow-wrap: anywhere;';
+        toast.appendChild(text);
+
+        let timer = null;
+        function dismiss() {
+            clearTimeout(timer);
+            toast.remove();
+        }
+
+        // Toast buttons are plain text buttons, unlike the filled dialog buttons
+        function addToastButton(label, onClick) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.style.cssText = `
+                background: none;
+                border: none;
+                padding: 0;
+                color: var(--research-export-accent);
+                cursor: pointer;
+                font-size: 14px;
+                font-weight: 600;
+            `;
+            button.addEventListener('click', onClick);
+            toast.appendChild(button);
+            return button;
+        }
+
+        if (options.action) {
+            addToastButton(options.action.label, () => {
+                dismiss();
+                options.action.onClick();
+            });
+        }
+        addToastButton('✕', dismiss).setAttribute('aria-label', 'Dismiss');
+
+        // Stay while the pointer is over the notification, so it can be read and acted on
+        const duration = options.duration || toastDurations[type];
+        timer = setTimeout(dismiss, duration);
+        toast.addEventListener('mouseenter', () => clearTimeout(timer));
+        toast.addEventListener('mouseleave', () => {
+            timer = setTimeout(dismiss, duration);
+        });
+
+        container.appendChild(toast);
+    }
+
+    // Overlays of the open dialogs, last opened last, so Escape only closes the one on top
+    const openDialogOverlays = [];
+
+    // Function to create a modal dialog with a title, in an overlay that Escape or a click outside closes.
+    // The caller fills the dialog and appends the overlay to the page. onClose is called however it's closed.
+    function createDialog(className, title, onClose) {
+        const overlay = document.createElement('div');
+        overlay.className = className;
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.5);
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', title);
+        dialog.style.cssText = `
+            width: min(640px, calc(100vw - 32px));
+            max-height: calc(100vh - 32px);
+            overflow: auto;
+            background: var(--research-export-surface);
+            color: var(--research-export-text);
+            border-radius: 12px;
+            padding: 24px;
+            font-size: 14px;
+            box-shadow: 0 10px 40px rgba(0, 0, 0, 0.3);
+        `;
+
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+        heading.style.cssText = 'margin: 0 0 16px; font-size: 18px; font-weight: 600;';
+        dialog.appendChild(heading);
+
+        function close() {
+            document.removeEventListener('keydown', handleKeydown, true);
+            openDialogOverlays.splice(openDialogOverlays.indexOf(overlay), 1);
+            overlay.remove();
+            if (onClose) {
+                onClose();
+            }
+        }
+
+        function handleKeydown(event) {
+            if (event.key === 'Escape' && openDialogOverlays[openDialogOverlays.length - 1] === overlay) {
+                event.stopPropagation();
+                close();
+            }
+        }
+
+        // Close when clicking outside the dialog
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', handleKeydown, true);
+        openDialogOverlays.push(overlay);
+
+        overlay.appendChild(dialog);
+        return { overlay, dialog, close };
+    }
+
+    // Function to create a button for the button row of a dialog
+    function createDialogButton(text, background, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.cssText = `
+            background: ${background};
+            color: white;
+            border: none;
+            padding: 8px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Function to ask for confirmation in a dialog, resolving to whether the confirm button was chosen.
+    // Resolves to false straight away while another confirmation is open.
+    function confirmInDialog(title, text, confirmLabel, confirmColor = '#10a37f') {
+        if (document.querySelector('.deep-research-confirm-overlay')) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            let confirmed = false;
+            const { overlay, dialog, close } = createDialog('deep-research-confirm-overlay', title, () => resolve(confirmed));
+            dialog.style.width = 'min(440px, calc(100vw - 32px))';
+
+            const message = document.createElement('p');
+            message.style.cssText = 'margin: 0 0 16px;';
+            message.textContent = text;
+            dialog.appendChild(message);
+
+            const buttonRow = document.createElement('div');
+            buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+            buttonRow.appendChild(createDialogButton('Cancel', '#4b5563', close));
+            const confirmButton = createDialogButton(confirmLabel, confirmColor, () => {
+                confirmed = true;
+                close();
+            });
+            buttonRow.appendChild(confirmButton);
+            dialog.appendChild(buttonRow);
+
+            document.body.appendChild(overlay);
+            confirmButton.focus();
+        });
+    }
+
+    // Function to open the in-page settings dialog
+    function openSettingsDialog() {
+        if (document.querySelector('.deep-research-settings-overlay')) {
+            return;
+        }
+
+        const { overlay, dialog, close } = createDialog('deep-research-settings-overlay', 'Research Export Settings');
+
+        // Create one input per setting
+        const inputs = new Map();
+        for (const field of settingsFields) {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: block; margin-bottom: 16px;';
+
+            const title = document.createElement('div');
+            title.textContent = field.label;
+            title.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+            label.appendChild(title);
+
+            const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+            input.value = getSetting(field.key);
+            if (field.type === 'textarea') {
+                input.rows = 8;
+            }
+            input.spellcheck = false;
+            input.style.cssText = `
+                width: 100%;
+                box-sizing: border-box;
+                padding: 8px;
+                border: 1px solid var(--research-export-border);
+                border-radius: 6px;
+                background: var(--research-export-surface);
+                color: var(--research-export-text);
+                font: 13px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            `;
+            label.appendChild(input);
+
+            const help = document.createElement('div');
+            help.textContent = field.help;
+            help.style.cssText = 'margin-top: 4px; color: var(--research-export-muted); font-size: 12px;';
+            label.appendChild(help);
+
+            // Show what the current value produces while it's being edited
+            if (field.preview) {
+                const preview = document.createElement('div');
+                preview.style.cssText = 'margin-top: 4px; font: 12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;';
+                const updatePreview = () => {
+                    preview.textContent = `Preview: ${field.preview(input.value)}`;
+                };
+                input.addEventListener('input', updatePreview);
+                updatePreview();
+                label.appendChild(preview);
+            }
+
+            dialog.appendChild(label);
+            inputs.set(field, input);
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+        buttonRow.appendChild(createDialogButton('Reset to Defaults', '#6b7280', () => {
+            for (const [field, input] of inputs) {
+                input.value = field.defaultValue;
+                input.dispatchEvent(new Event('input'));
+            }
+        }));
+        buttonRow.appendChild(createDialogButton('Cancel', '#4b5563', close));
+        buttonRow.appendChild(createDialogButton('Save', '#10a37f', () => {
+            for (const [field, input] of inputs) {
+                setValue(field.key, input.value);
+            }
+            close();
+        }));
+        dialog.appendChild(buttonRow);
+
+        document.body.appendChild(overlay);
+        inputs.values().next().value.focus();
+    }
+
+    // How long the notification of a changed setting offers to undo it
+    const undoDuration = 8000;
+
+    // Function to confirm a changed setting in a notification that can undo it, restoring the previous value
+    function notifySettingChange(message, key, previousValue) {
+        showToast(message, 'success', {
+            duration: undoDuration,
+            action: {
+                label: 'Undo',
+                onClick: () => {
+                    configure({ [key]: previousValue });
+                    updateMenuCommand();
+                    showToast(`Undone: ${message}`);
+                },
+            },
+        });
+    }
+
+    // Toggle frontmatter setting
+    let includeFrontmatter = getValue('includeFrontmatter', false);
+
+    function toggleFrontmatter() {
+        includeFrontmatter = !includeFrontmatter;
+        setValue('includeFrontmatter', includeFrontmatter);
+        notifySettingChange(`Frontmatter ${includeFrontmatter ? 'enabled' : 'disabled'}`, 'includeFrontmatter', !includeFrontmatter);
+        updateMenuCommand();
+    }
+
+    function updateMenuCommand() {
+        // Define a "namespace" for the menu command IDs
+        const namespace = 'chatgptResearchExport';
+        if (!window[namespace]) {
+            window[namespace] = {};
+        }
+        // Remove existing frontmatter menu command if it exists
+        if (window[namespace].menuFrontmatterCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuFrontmatterCommandId);
+        }
+
+        // Register new frontmatter menu command
+        window[namespace].menuFrontmatterCommandId = GM_registerMenuCommand(
+            `${includeFrontmatter ? '☑' : '☐'} Include Frontmatter`,
+            toggleFrontmatter
+        );
+
+        // Remove existing table of contents menu commands if they exist
+        for (const commandId of ['menuTableOfContentsCommandId', 'menuTableOfContentsDepthCommandId', 'menuAnchorStyleCommandId']) {
+            if (window[namespace][commandId]) {
+                GM_unregisterMenuCommand(window[namespace][commandId]);
+            }
+        }
+
+        // Register new table of contents menu commands
+        window[namespace].menuTableOfContentsCommandId = GM_registerMenuCommand(
+            `${includeTableOfContents ? '☑' : '☐'} Table of Contents`,
+            toggleTableOfContents
+        );
+        window[namespace].menuTableOfContentsDepthCommandId = GM_registerMenuCommand(
+            `Table of Contents Depth: ${formatTableOfContentsDepth()}`,
+            cycleTableOfContentsDepth
+        );
+        window[namespace].menuAnchorStyleCommandId = GM_registerMenuCommand(
+            `Heading Links: ${anchorStyles[anchorStyle]}`,
+            cycleAnchorStyle
+        );
+
+        // Remove existing deduplication menu command if it exists
+        if (window[namespace].menuDeduplicateCitationsCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuDeduplicateCitationsCommandId);
+        }
+
+        // Register new deduplication menu command
+        window[namespace].menuDeduplicateCitationsCommandId = GM_registerMenuCommand(
+            `${deduplicateCitations ? '☑' : '☐'} Deduplicate Citations`,
+            toggleDeduplicateCitations
+        );
+
+        // Remove existing citation style menu command if it exists
+        if (window[namespace].menuCitationStyleCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuCitationStyleCommandId);
+        }
+
+        // Register new citation style menu command
+        window[namespace].menuCitationStyleCommandId = GM_registerMenuCommand(
+            `Citation Style: ${citationStyles[citationStyle]}`,
+            cycleCitationStyle
+        );
+
+        // Remove existing bibliography menu command if it exists
+        if (window[namespace].menuBibliographyCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuBibliographyCommandId);
+        }
+
+        // Register new bibliography menu command
+        window[namespace].menuBibliographyCommandId = GM_registerMenuCommand(
+            `Bibliography: ${bibliographyOptions[bibliographyFormat]}`,
+            cycleBibliographyFormat
+        );
+
+        // Remove existing shared conversation citations menu command if it exists
+        if (window[namespace].menuSharedConversationCitationsCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuSharedConversationCitationsCommandId);
+        }
+
+        // Register new shared conversation citations menu command
+        window[namespace].menuSharedConversationCitationsCommandId = GM_registerMenuCommand(
+            `${sharedConversationCitations ? '☑' : '☐'} Shared Conversation Citations`,
+            toggleSharedConversationCitations
+        );
+
+        // Remove existing image mode menu command if it exists
+        if (window[namespace].menuImageModeCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuImageModeCommandId);
+        }
+
+        // Register new image mode menu command
+        window[namespace].menuImageModeCommandId = GM_registerMenuCommand(
+            `Images: ${imageModes[imageMode]}`,
+            cycleImageMode
+        );
+
+        // Remove existing auto-export menu command if it exists
+        if (window[namespace].menuAutoExportCommandId) {
+            GM_unregisterMenuCommand(window[namespace].menuAutoExportCommandId);
+        }
+
+        // Register new auto-export menu command
+        window[namespace].menuAutoExportCommandId = GM_registerMenuCommand(
+            `${autoExportOnComplete ? '☑' : '☐'} Auto-Export Completed Research`,
+            toggleAutoExportOnComplete
+        );
+
+        // Register the other commands again too, as registering adds to the end of the menu and they go below the settings
+        for (const commandId of window[namespace].menuActionCommandIds || []) {
+            GM_unregisterMenuCommand(commandId);
+        }
+        window[namespace].menuActionCommandIds = [
+            GM_registerMenuCommand('Settings…', openSettingsDialog),
+            GM_registerMenuCommand('Copy Settings (JSON)', copySettingsToClipboard),
+            GM_registerMenuCommand('Export History…', openExportHistory),
+            GM_registerMenuCommand('Diagnose Page', diagnosePage),
+            GM_registerMenuCommand('Export Conversation', () => exportConversation()),
+            GM_registerMenuCommand('Export All Research (ZIP)', () => exportAllResearch()),
+        ];
+    }
+
+    // Toggle citation deduplication strategy setting
+    let deduplicateCitations = getValue('deduplicateCitations', true);
+    function toggleDeduplicateCitations() {
+        deduplicateCitations = !deduplicateCitations;
+        setValue('deduplicateCitations', deduplicateCitations);
+        notifySettingChange(`Citation deduplication ${deduplicateCitations ? 'enabled' : 'disabled'}`, 'deduplicateCitations', !deduplicateCitations);
+        updateMenuCommand();
+    }
+
+    // Toggle whether a conversation export numbers citations across all results instead of per result
+    let sharedConversationCitations = getValue('sharedConversationCitations', false);
+    function toggleSharedConversationCitations() {
+        sharedConversationCitations = !sharedConversationCitations;
+        setValue('sharedConversationCitations', sharedConversationCitations);
+        notifySettingChange(`Shared conversation citations ${sharedConversationCitations ? 'enabled' : 'disabled'}`, 'sharedConversationCitations', !sharedConversationCitations);
+        updateMenuCommand();
+    }
+
+    // Toggle automatic export of research reports when ChatGPT finishes writing them
+    let autoExportOnComplete = getValue('autoExportOnComplete', false);
+    function toggleAutoExportOnComplete() {
+        autoExportOnComplete = !autoExportOnComplete;
+        setValue('autoExportOnComplete', autoExportOnComplete);
+        notifySettingChange(`Auto-export of completed research ${autoExportOnComplete ? 'enabled' : 'disabled'}`, 'autoExportOnComplete', !autoExportOnComplete);
+        updateMenuCommand();
+    }
+
+    // Toggle table of contents setting
+    let includeTableOfContents = getValue('includeTableOfContents', false);
+    function toggleTableOfContents() {
+        includeTableOfContents = !includeTableOfContents;
+        setValue('includeTableOfContents', includeTableOfContents);
+        notifySettingChange(`Table of contents ${includeTableOfContents ? 'enabled' : 'disabled'}`, 'includeTableOfContents', !includeTableOfContents);
+        updateMenuCommand();
+    }
+
+    // Cycle the deepest heading level listed in the table of contents, from h2 to h6
+    let tableOfContentsDepth = getValue('tableOfContentsDepth', 3);
+    if (!(tableOfContentsDepth >= 2 && tableOfContentsDepth <= 6)) {
+        tableOfContentsDepth = 3;
+    }
+    function cycleTableOfContentsDepth() {
+        const previous = tableOfContentsDepth;
+        tableOfContentsDepth = tableOfContentsDepth >= 6 ? 2 : tableOfContentsDepth + 1;
+        setValue('tableOfContentsDepth', tableOfContentsDepth);
+        notifySettingChange(`Table of contents depth: ${formatTableOfContentsDepth()}`, 'tableOfContentsDepth', previous);
+        updateMenuCommand();
+    }
+    function formatTableOfContentsDepth() {
+        return tableOfContentsDepth === 2 ? 'h2' : `h2–h${tableOfContentsDepth}`;
+    }
+
+    // Heading link styles for the table of contents, in the order the menu command cycles through them
+    const anchorStyles = {
+        github: 'GitHub',
+        obsidian: 'Obsidian',
+    };
+
+    // Cycle heading link style setting
+    let anchorStyle = getValue('anchorStyle', 'github');
+    if (!anchorStyles[anchorStyle]) {
+        anchorStyle = 'github';
+    }
+    function cycleAnchorStyle() {
+        const previous = anchorStyle;
+        const styles = Object.keys(anchorStyles);
+        anchorStyle = styles[(styles.indexOf(anchorStyle) + 1) % styles.length];
+        setValue('anchorStyle', anchorStyle);
+        notifySettingChange(`Heading links: ${anchorStyles[anchorStyle]}`, 'anchorStyle', previous);
+        updateMenuCommand();
+    }
+
+    // Bibliography files exported next to documents, in the order the menu command cycles through them
+    const bibliographyOptions = {
+        off: 'Off',
+        csl: 'CSL-JSON',
+        bibtex: 'BibTeX',
+        both: 'CSL-JSON and BibTeX',
+    };
+
+    // Cycle bibliography setting
+    let bibliographyFormat = getValue('bibliographyFormat', 'off');
+    if (!bibliographyOptions[bibliographyFormat]) {
+        bibliographyFormat = 'off';
+    }
+    function cycleBibliographyFormat() {
+        const previous = bibliographyFormat;
+        const options = Object.keys(bibliographyOptions);
+        bibliographyFormat = options[(options.indexOf(bibliographyFormat) + 1) % options.length];
+        setValue('bibliographyFormat', bibliographyFormat);
+        notifySettingChange(`Bibliography: ${bibliographyOptions[bibliographyFormat]}`, 'bibliographyFormat', previous);
+        updateMenuCommand();
+    }
+
+    // Citation output styles, in the order the menu command cycles through them
+    const citationStyles = {
+        inline: 'Inline Links',
+        footnotes: 'Footnotes',
+        reference: 'Reference Links',
+    };
+
+    // Cycle citation style setting
+    let citationStyle = getValue('citationStyle', 'inline');
+    if (!citationStyles[citationStyle]) {
+        citationStyle = 'inline';
+    }
+    function cycleCitationStyle() {
+        const previous = citationStyle;
+        const styles = Object.keys(citationStyles);
+        citationStyle = styles[(styles.indexOf(citationStyle) + 1) % styles.length];
+        setValue('citationStyle', citationStyle);
+        notifySettingChange(`Citation style: ${citationStyles[citationStyle]}`, 'citationStyle', previous);
+        updateMenuCommand();
+    }
+
+    // Ways to export images and charts, in the order the menu command cycles through them
+    const imageModes = {
+        link: 'Link to Original',
+        embed: 'Embed in File',
+        bundle: 'Bundle in ZIP',
+    };
+
+    // Cycle image mode setting
+    let imageMode = getValue('imageMode', 'link');
+    if (!imageModes[imageMode]) {
+        imageMode = 'link';
+    }
+    function cycleImageMode() {
+        const previous = imageMode;
+        const modes = Object.keys(imageModes);
+        imageMode = modes[(modes.indexOf(imageMode) + 1) % modes.length];
+        setValue('imageMode', imageMode);
+        notifySettingChange(`Images: ${imageModes[imageMode]}`, 'imageMode', previous);
+        updateMenuCommand();
+    }
+
+    // Remember the output format last chosen from the export buttons
+    let outputFormat = getValue('outputFormat', 'markdown');
+    if (!outputFormats[outputFormat]) {
+        outputFormat = 'markdown';
+    }
+    function setOutputFormat(format) {
+        outputFormat = format;
+        setValue('outputFormat', outputFormat);
+    }
+
+    // Function to clean up extra whitespace in converted markdown
+    function cleanMarkdown(markdown) {
+        return markdown
+            .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove extra blank lines
+            .replace(/^\s+|\s+$/g, '') // Trim start and end
+            .replace(/\n{3,}/g, '\n\n'); // Limit to maximum 2 consecutive newlines
+    }
+
+    // Function to trigger a browser download of generated content
+    function downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+
+        // Trigger download
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // CRC-32 lookup table for zip entries, built on first use
+    let crcTable = null;
+
+    // Function to compute the CRC-32 checksum of a byte array
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Function to build an uncompressed zip archive in the browser from { name, content } entries
+    function createZipBlob(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = crc32(data);
+
+            // Local file header; flag bit 11 marks the name as UTF-8
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);
+            localParts.push(header, nameBytes, data);
+
+            // Central directory entry pointing back at the local header
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            centralParts.push(entry, nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    // Function to make a filename unique among those already used, by appending -2, -3, ...
+    function getUniqueFilename(baseName, extension, usedNames) {
+        let filename = `${baseName}.${extension}`;
+        for (let suffix = 2; usedNames.has(filename.toLowerCase()); suffix++) {
+            filename = `${baseName}-${suffix}.${extension}`;
+        }
+        usedNames.add(filename.toLowerCase());
+        return filename;
+    }
+
+    // File extensions of image types, for naming bundled images
+    const imageExtensions = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/gif': 'gif',
+        'image/webp': 'webp',
+        'image/avif': 'avif',
+        'image/bmp': 'bmp',
+        'image/svg+xml': 'svg',
+    };
+
+    // Function to work out an image's type and extension, from its MIME type or else its URL
+    function getImageType(mimeType, src) {
+        const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+        if (imageExtensions[type]) {
+            return { mimeType: type, extension: imageExtensions[type] };
+        }
+
+        const match = src.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+        const extension = match ? match[1].toLowerCase().replace('jpeg', 'jpg') : '';
+        const knownType = Object.keys(imageExtensions).find(key => imageExtensions[key] === extension);
+        return knownType
+            ? { mimeType: knownType, extension }
+            : { mimeType: type || 'application/octet-stream', extension: extension || 'bin' };
+    }
+
+    // Function to load an image of the page as bytes. GM_xmlhttpRequest loads images from other sites
+    // whatever their CORS headers; the page's fetch is only used for data and blob URLs or without it.
+    function loadPageImage(src) {
+        const loading = typeof GM_xmlhttpRequest !== 'function' || /^(data|blob):/i.test(src)
+            ? fetch(src).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.blob();
+            })
+            : new Promise((resolve, reject) => {
+                GM_xmlhttpRequest({
+                    method: 'GET',
+                    url: new URL(src, window.location.href).href,
+                    responseType: 'blob',
+                    onload: (response) => {
+                        if (response.status < 200 || response.status >= 300) {
+                            reject(new Error(`HTTP ${response.status}`));
+                            return;
+                        }
+                        resolve(response.response);
+                    },
+                    onerror: () => reject(new Error('Could not connect')),
+                    ontimeout: () => reject(new Error('Timed out')),
+                });
+            });
+        return loading.then(blob => blob.arrayBuffer().then(buffer => ({ bytes: new Uint8Array(buffer), mimeType: blob.type })));
+    }
+
+    // Function to tell whether the converter writes out an image or SVG chart. Images inside citations,
+    // links and code blocks are dropped with the text around them, like the sites' favicons in citations.
+    function isRenderedImage(node, root) {
+        const droppedParents = [resolveSelector('citations', root), resolveSelector('codeBlocks', root), 'a[href]', 'pre', 'code'];
+        if (node.tagName.toLowerCase() === 'svg' && !isChartSvg(node)) {
+            return false;
+        }
+        return !(node.parentElement && node.parentElement.closest(droppedParents.join(', ')));
+    }
+
+    // Function to prepare the images and SVG charts in elements for export.
+    // Resolves to { images, files, failed }: a map from each img/svg element to the src to write,
+    // the files to bundle and the number of images that could not be loaded and stay linked.
+    // Options:
+    //   mode - 'link' to keep image URLs, 'embed' for data URIs or 'bundle' for files in assetFolder
+    //   assetFolder - folder for bundled files, relative to the root of the archive
+    //   documentPath - path of the exported document in the archive, to link bundled files relative to it
+    //   loadImage - function that loads an image src as { bytes, mimeType }
+    function collectImageAssets(elements, options = {}) {
+        const mode = options.mode || 'link';
+        const assetFolder = options.assetFolder || 'assets';
+        const loadImage = options.loadImage || loadPageImage;
+        const relativePrefix = '../'.repeat((options.documentPath || '').split('/').length - 1);
+        const images = new Map();
+        const files = [];
+        const loadsBySrc = new Map();
+        let failed = 0;
+
+        // Linked images need no work, and SVG charts have nothing to link to
+        if (mode === 'link') {
+            return Promise.resolve({ images, files, failed });
+        }
+
+        const nodes = elements.flatMap(element => Array.from(element.querySelectorAll('img[src], svg'))
+            .filter(node => isRenderedImage(node, element)));
+
+        const tasks = nodes.map((node, i) => {
+            const isSvg = node.tagName.toLowerCase() === 'svg';
+            const src = isSvg ? '' : node.getAttribute('src');
+
+            // An image shown several times is loaded and bundled once
+            if (!isSvg && loadsBySrc.has(src)) {
+                return loadsBySrc.get(src).then((assetSrc) => {
+                    if (assetSrc) {
+                        images.set(node, assetSrc);
+                    }
+                });
+            }
+
+            const loading = isSvg
+                ? Promise.resolve({ bytes: new TextEncoder().encode(serializeSvg(node)), mimeType: 'image/svg+xml' })
+                : Promise.resolve().then(() => loadImage(src));
+
+            const asset = loading.then(({ bytes, mimeType }) => {
+                const type = getImageType(mimeType, src);
+                if (mode === 'embed') {
+                    return `data:${type.mimeType};base64,${bytesToBase64(bytes)}`;
+                }
+
+                const name = `${assetFolder}/${isSvg ? 'chart' : 'image'}-${i + 1}.${type.extension}`;
+                files[i] = { name, content: bytes };
+                return encodeURI(relativePrefix + name);
+            }).catch((error) => {
+                // The image stays linked to its original URL rather than being dropped
+                console.warn(`Could not load image ${src}: ${error && error.message ? error.message : error}`);
+                failed++;
+                return null;
+            });
+            if (!isSvg) {
+                loadsBySrc.set(src, asset);
+            }
+
+            return asset.then((assetSrc) => {
+                if (assetSrc) {
+                    images.set(node, assetSrc);
+                }
+            });
+        });
+
+        return Promise.all(tasks).then(() => ({ images, files: files.filter(Boolean), failed }));
+    }
+
+    // Function to convert a research container to a complete document in an output format.
+    // The source registry used is added to sourceRegistries for the bibliography.
+    function buildResearchDocument(researchContainer, format = 'markdown', images = new Map(), sourceRegistries = []) {
+        const { renderer } = outputFormats[format];
+        const sources = createSourceRegistry();
+        sourceRegistries.push(sources);
+        const body = convertElement(researchContainer, renderer, {
+            sources,
+            images,
+            tableOfContentsDepth: includeTableOfContents ? tableOfContentsDepth : 0,
+        });
+        return renderer.document(body, {
+            title: extractTitle(researchContainer),
+            url: window.location.href,
+            sourceRegistries: [sources],
+            wordCount: countWords(researchContainer),
+        });
+    }
+
+    // Function to get the image mode for a format; plain text has no images to embed or bundle
+    function getImageMode(format) {
+        return format === 'text' ? 'link' : imageMode;
+    }
+
+    // Function to warn about images that could not be embedded or bundled
+    function reportImageFailures(failed) {
+        if (failed > 0) {
+            showToast(`${failed} image${failed === 1 ? '' : 's'} could not be downloaded and stay linked to the original.`, 'warning');
+        }
+    }
+
+    // Function to download a document, as a zip archive with its bundled images if it has any.
+    // Bibliography files go in the archive too, or are downloaded next to the document.
+    function downloadDocument(content, filename, mimeType, assetFiles, bibliographyFiles = []) {
+        if (assetFiles.length === 0) {
+            downloadFile(content, filename, mimeType);
+            for (const file of bibliographyFiles) {
+                downloadFile(file.content, file.name, 'text/plain');
+            }
+            return filename;
+        }
+
+        const zipFilename = filename.replace(/\.[^.]+$/, '.zip');
+        downloadFile(createZipBlob([{ name: filename, content }, ...bibliographyFiles, ...assetFiles]), zipFilename, 'application/zip');
+        return zipFilename;
+    }
+
+    // Function to export deep research content, keeping it in the export history unless it's only part of a report
+    function exportDeepResearch(researchContainer, format = outputFormat, recordHistory = true) {
+        if (!researchContainer) {
+            showToast('No deep research content found.', 'warning');
+            return;
+        }
+        return confirmIncompleteExport([researchContainer]).then((confirmed) => {
+            if (!confirmed) {
+                return null;
+            }
+
+            const { extension, mimeType } = outputFormats[format];
+
+            // Extract title for filename
+            const title = extractTitle(researchContainer);
+            const filename = buildExportFilename(title, window.location.href, extension);
+
+            return collectImageAssets([researchContainer], { mode: getImageMode(format), documentPath: filename }).then(({ images, files, failed }) => {
+                const sourceRegistries = [];
+                const content = buildResearchDocument(researchContainer, format, images, sourceRegistries);
+                const bibliographyFiles = buildBibliographyFiles(sourceRegistries, filename.replace(/\.[^.]+$/, ''));
+                const downloadedFilename = downloadDocument(content, filename, mimeType, files, bibliographyFiles);
+                console.log(`Deep research content exported: ${downloadedFilename}`);
+                showToast(`Exported ${downloadedFilename}`);
+                if (recordHistory) {
+                    recordExport('research', title, format, filename,
+                        images.size > 0 ? buildResearchDocument(researchContainer, format) : content, getResearchReportId(researchContainer));
+                }
+                reportImageFailures(failed);
+            });
+        }).catch((error) => {
+            console.error('Failed to export deep research content:', error);
+            showToast(`Export failed: ${error && error.message ? error.message : error}`, 'error');
+        });
+    }
+
+    // Function to convert the whole conversation to a complete document in an output format.
+    // The source registries used are added to sourceRegistries for the bibliography.
+    function buildConversationDocument(format = 'markdown', images = new Map(), sourceRegistries = []) {
+        const { renderer } = outputFormats[format];
+        const body = convertConversation(renderer, sourceRegistries, images);
+        return renderer.document(body, {
+            title: getConversationTitle(),
+            url: window.location.href,
+            sourceRegistries,
+            wordCount: getConversationTurns().reduce((count, turn) => count + countWords(turn.element), 0),
+        });
+    }
+
+    // Function to export the whole conversation, including prompts and follow-up turns
+    function exportConversation(format = outputFormat) {
+        if (getConversationTurns().length === 0) {
+            showToast('No conversation found.', 'warning');
+            return;
+        }
+        return confirmIncompleteExport(getDeepResearchContainers()).then((confirmed) => {
+            if (!confirmed) {
+                return null;
+            }
+
+            const { extension, mimeType } = outputFormats[format];
+            const title = getConversationTitle();
+            const filename = buildExportFilename(title, window.location.href, extension);
+            const turnElements = getConversationTurns().map(turn => turn.element);
+
+            return collectImageAssets(turnElements, { mode: getImageMode(format), documentPath: filename }).then(({ images, files, failed }) => {
+                const sourceRegistries = [];
+                const content = buildConversationDocument(format, images, sourceRegistries);
+                const bibliographyFiles = buildBibliographyFiles(sourceRegistries, filename.replace(/\.[^.]+$/, ''));
+                const downloadedFilename = downloadDocument(content, filename, mimeType, files, bibliographyFiles);
+                console.log(`Conversation exported: ${downloadedFilename}`);
+                showToast(`Exported ${downloadedFilename}`);
+                recordExport('conversation', title, format, filename, images.size > 0 ? buildConversationDocument(format) : content);
+                reportImageFailures(failed);
+            });
+        }).catch((error) => {
+            console.error('Failed to export conversation:', error);
+            showToast(`Export failed: ${error && error.message ? error.message : error}`, 'error');
+        });
+    }
+
+    // Function to export every research result on the page as a zip archive with an index file
+    function exportAllResearch(format = outputFormat) {
+        const containers = getDeepResearchContainers();
+        if (containers.length === 0) {
+            showToast('No deep research content found.', 'warning');
+            return;
+        }
+        return confirmIncompleteExport(containers).then((confirmed) => {
+            if (!confirmed) {
+                return null;
+            }
+
+            const { renderer, extension } = outputFormats[format];
+            const conversationTitle = getConversationTitle();
+            const titleContext = { verbatim: false, atLineStart: () => true };
+            const indexName = `index.${extension}`;
+            const usedNames = new Set([indexName]);
+            const files = [];
+            const indexItems = [];
+
+            // Each result bundles its images in its own folder under assets/
+            const exports = containers.map((container, i) => {
+                const title = extractTitle(container);
+                const filename = getUniqueFilename(buildExportPath(title, window.location.href), extension, usedNames);
+                indexItems.push({
+                    number: i + 1,
+                    content: renderer.link(encodeURI(filename), renderer.text(title, titleContext)),
+                });
+                return collectImageAssets([container], {
+                    mode: getImageMode(format),
+                    assetFolder: `assets/${filename.replace(/\.[^.]+$/, '')}`,
+                    documentPath: filename,
+                }).then(assets => ({ container, filename, assets }));
+            });
+
+            return Promise.all(exports).then((results) => {
+                let failed = 0;
+                for (const { container, filename, assets } of results) {
+                    const sourceRegistries = [];
+                    const content = buildResearchDocument(container, format, assets.images, sourceRegistries);
+                    files.push({ name: filename, content });
+                    files.push(...buildBibliographyFiles(sourceRegistries, filename.replace(/\.[^.]+$/, '')), ...assets.files);
+                    recordExport('research', extractTitle(container), format, filename.split('/').pop(),
+                        assets.images.size > 0 ? buildResearchDocument(container, format) : content, getResearchReportId(container));
+                    failed += assets.failed;
+                }
+
+                const index = renderer.heading(1, renderer.text(conversationTitle, titleContext)) + renderer.list(true, indexItems);
+                files.unshift({ name: indexName, content: renderer.document(index, { title: conversationTitle, url: window.location.href }) });
+
+                const filename = buildExportFilename(conversationTitle, window.location.href, 'zip');
+                downloadFile(createZipBlob(files), filename, 'application/zip');
+
+                console.log(`${containers.length} deep research results exported: ${filename}`);
+                showToast(`Exported ${containers.length} research result${containers.length === 1 ? '' : 's'} to ${filename}`);
+                reportImageFailures(failed);
+            });
+        }).catch((error) => {
+            console.error('Failed to export deep research results:', error);
+            showToast(`Export failed: ${error && error.message ? error.message : error}`, 'error');
+        });
+    }
+
+    // Function to write text and HTML flavors to the clipboard so paste targets can pick the richest one
+    function writeToClipboard(text, html) {
+        if (!navigator.clipboard) {
+            return Promise.reject(new Error('The clipboard is not available on this page.'));
+        }
+
+        // Browsers without ClipboardItem can still take the text flavor
+        if (typeof ClipboardItem === 'undefined' || !navigator.clipboard.write) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        const item = new ClipboardItem({
+            'text/html': new Blob([html], { type: 'text/html' }),
+            'text/plain': new Blob([text], { type: 'text/plain' }),
+        });
+        return navigator.clipboard.write([item]);
+    }
+
+    // Function to copy to clipboard
+    function copyDeepResearchToClipboard(researchContainer, format = outputFormat) {
+        if (!researchContainer) {
+            showToast('No deep research content found.', 'warning');
+            return;
+        }
+        return confirmIncompleteExport([researchContainer]).then((confirmed) => {
+            if (!confirmed) {
+                return null;
+            }
+
+            // The HTML flavor carries the formatting, so the HTML format pairs it with plain text
+            const text = buildResearchDocument(researchContainer, format === 'html' ? 'text' : format);
+            const html = convertElement(researchContainer, htmlRenderer);
+
+            return writeToClipboard(text, html).then(() => {
+                showToast('Deep research content copied to clipboard.');
+            });
+        }).catch((error) => {
+            console.error('Failed to copy deep research content:', error);
+            if (error && error.name === 'NotAllowedError') {
+                showToast('Copy failed: clipboard permission was denied. Allow clipboard access for this site and try again.', 'error');
+            } else {
+                showToast(`Copy failed: ${error && error.message ? error.message : error}`, 'error');
+            }
+        });
+    }
+
+    // How many times a target is tried again after a failure that may pass, unless the target sets "retries"
+    const defaultSendRetries = 2;
+
+    // How long to wait for an HTTP target to answer
+    const sendTimeout = 30000;
+
+    // Longest obsidian:// URI to open; longer notes are passed to Obsidian through the clipboard
+    const obsidianUriLimit = 30000;
+
+    // Payload POSTed to HTTP targets without a template of their own
+    const defaultHttpPayloadTemplate = {
+        title: '{{title}}',
+        url: '{{url}}',
+        conversation_id: '{{conversation_id}}',
+        date: '{{date}}',
+        source_count: '{{source_count}}',
+        domains: '{{domains}}',
+        tags: '{{tags}}',
+        word_count: '{{word_count}}',
+        format: '{{format}}',
+        filename: '{{filename}}',
+        content: '{{content}}',
+    };
+
+    // Function to read the "Send to…" targets from their JSON setting, as { targets, error }
+    function parseSendTargets(value) {
+        const invalid = error => ({ targets: [], error });
+        let targets;
+        try {
+            targets = JSON.parse(value.trim() || '[]');
+        } catch (error) {
+            return invalid(`Invalid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(targets)) {
+            return invalid('Expected a JSON list of targets');
+        }
+
+        for (const [index, target] of targets.entries()) {
+            const name = target && typeof target.name === 'string' ? target.name.trim() : '';
+            if (!name) {
+                return invalid(`Target ${index + 1} has no name`);
+            }
+            if (target.type === 'http') {
+                if (!/^https?:\/\//i.test(target.url || '')) {
+                    return invalid(`"${name}" needs an http:// or https:// url`);
+                }
+                const headers = target.headers;
+                if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+                    Object.values(headers).some(value => typeof value !== 'string'))) {
+                    return invalid(`"${name}" needs headers as an object of header names and string values`);
+                }
+                // Header names are HTTP tokens, and a line break in a value would start another header
+                for (const [headerName, headerValue] of Object.entries(headers || {})) {
+                    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(headerName)) {
+                        return invalid(`"${name}" has an invalid header name "${headerName}"`);
+                    }
+                    if (/[\r\n\0]/.test(headerValue)) {
+                        return invalid(`"${name}" has a line break in the value of header "${headerName}"`);
+                    }
+                }
+            } else if (target.type === 'obsidian') {
+                if (!target.vault) {
+                    return invalid(`"${name}" needs a vault`);
+                }
+            } else {
+                return invalid(`"${name}" has an unknown type, expected "http" or "obsidian"`);
+            }
+        }
+        return { targets, error: null };
+    }
+
+    // Function to turn template values into text, with lists separated by commas
+    function getTemplateText(values) {
+        return Object.fromEntries(Object.entries(values).map(([name, value]) => [
+            name,
+            Array.isArray(value) ? value.join(', ') : value,
+        ]));
+    }
+
+    // Function to fill a JSON payload template. A string that is only a placeholder takes its value as is,
+    // so lists and numbers keep their type, and placeholders within longer strings are filled with text.
+    function fillPayloadTemplate(template, values) {
+        if (typeof template === 'string') {
+            const match = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+            if (match && Object.prototype.hasOwnProperty.call(values, match[1])) {
+                return values[match[1]];
+            }
+            return renderTemplate(template, getTemplateText(values));
+        }
+        if (Array.isArray(template)) {
+            return template.map(item => fillPayloadTemplate(item, values));
+        }
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillPayloadTemplate(value, values)]));
+        }
+        return template;
+    }
+
+    // Function to get the values a target's template is filled with: the frontmatter fields, the format,
+    // the export filename and the converted document
+    function getSendValues(researchContainer, format) {
+        const sourceRegistries = [];
+        const content = buildResearchDocument(researchContainer, format, new Map(), sourceRegistries);
+        const title = extractTitle(researchContainer);
+        return {
+            ...getFrontmatterFields({
+                title,
+                url: window.location.href,
+                sourceRegistries,
+                wordCount: countWords(researchContainer),
+            }),
+            format,
+            filename: buildExportFilename(title, window.location.href, outputFormats[format].extension),
+            content,
+        };
+    }
+
+    // Function to run a sending task, trying again with a growing delay unless the error is marked permanent
+    function sendWithRetries(task, retries, onProgress) {
+        function attempt(number) {
+            onProgress(number > 1 ? `Retrying (attempt ${number} of ${retries + 1})…` : 'Sending…');
+            return task().catch((error) => {
+                if (error.permanent || number > retries) {
+                    throw error;
+                }
+                return new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (number - 1))).then(() => attempt(number + 1));
+            });
+        }
+        return attempt(1);
+    }
+
+    // Function to POST JSON to an HTTP target. Client errors are permanent, other failures may pass.
+    function postToHttpTarget(target, body) {
+        return new Promise((resolve, reject) => {
+            if (typeof GM_xmlhttpRequest !== 'function') {
+                reject(Object.assign(new Error('GM_xmlhttpRequest is not available'), { permanent: true }));
+                return;
+            }
+            GM_xmlhttpRequest({
+                method: 'POST',
+                url: target.url,
+                headers: { 'Content-Type': 'application/json', ...(target.headers || {}) },
+                data: body,
+                timeout: sendTimeout,
+                onload: (response) => {
+                    if (response.status >= 200 && response.status < 300) {
+                        resolve(`Sent (HTTP ${response.status})`);
+                        return;
+                    }
+                    const error = new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+                    error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+                    reject(error);
+                },
+                onerror: () => reject(new Error('Could not connect')),
+                ontimeout: () => reject(new Error('Timed out')),
+            });
+        });
+    }
+
+    // Function to create a note through an obsidian:// URI. Obsidian doesn't report back, so opening it counts as sent.
+    function openObsidianTarget(target, values) {
+        const text = renderTemplate(target.template || '{{content}}', getTemplateText(values));
+        const file = [target.folder, buildExportPath(values.title, values.url)]
+            .filter(Boolean)
+            .map(part => String(part).replace(/^\/+|\/+$/g, ''))
+            .join('/');
+        const baseUri = `obsidian://new?vault=${encodeURIComponent(target.vault)}&file=${encodeURIComponent(file)}`;
+        const contentUri = `${baseUri}&content=${encodeURIComponent(text)}`;
+
+        const uri = contentUri.length <= obsidianUriLimit
+            ? Promise.resolve(contentUri)
+            : navigator.clipboard.writeText(text).then(() => `${baseUri}&clipboard`, (error) => {
+                error.permanent = error.name === 'NotAllowedError';
+                throw error;
+            });
+        return uri.then((link) => {
+            const anchor = document.createElement('a');
+            anchor.href = link;
+            document.body.appendChild(anchor);
+            anchor.click();
+            document.body.removeChild(anchor);
+            return link === contentUri ? 'Opened in Obsidian' : 'Opened in Obsidian, with the note passed through the clipboard';
+        });
+    }
+
+    // Function to send a research container to a target, resolving with a message saying how it went
+    function sendToTarget(target, researchContainer, format, onProgress) {
+        const retries = Number.isInteger(target.retries) && target.retries >= 0 ? target.retries : defaultSendRetries;
+
+        // Conversion errors reject the promise too, so the dialog reports them like sending errors
+        return Promise.resolve().then(() => {
+            const values = getSendValues(researchContainer, format);
+            if (target.type === 'obsidian') {
+                return sendWithRetries(() => openObsidianTarget(target, values), retries, onProgress);
+            }
+            const body = JSON.stringify(fillPayloadTemplate(target.template || defaultHttpPayloadTemplate, values));
+            return sendWithRetries(() => postToHttpTarget(target, body), retries, onProgress);
+        });
+    }
+
+    // Function to open the "Send to…" dialog listing the targets from the settings, each with its own status
+    function openSendDialog(researchContainer, format) {
+        // Its button is disabled while the research is being written
+        if (document.querySelector('.deep-research-send-overlay') || isResearchInProgress(researchContainer)) {
+            return;
+        }
+
+        const { overlay, dialog, close } = createDialog('deep-research-send-overlay', 'Send to…');
+        const { targets, error } = parseSendTargets(getSetting('sendTargets'));
+
+        if (error || targets.length === 0) {
+            const message = document.createElement('p');
+            message.style.cssText = 'margin: 0 0 16px;';
+            message.textContent = error
+                ? `The "Send to… targets" setting is not valid: ${error}`
+                : 'No targets yet. Add a local endpoint or an Obsidian vault in the settings.';
+            dialog.appendChild(message);
+        }
+
+        for (const target of targets) {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 8px 0; border-top: 1px solid var(--research-export-border);';
+
+            const details = document.createElement('div');
+            details.style.cssText = 'flex: 1; min-width: 0;';
+            const name = document.createElement('div');
+            name.textContent = target.name;
+            name.style.cssText = 'font-weight: 600;';
+            const status = document.createElement('div');
+            status.textContent = target.type === 'obsidian' ? `Obsidian vault ${target.vault}` : target.url;
+            status.style.cssText = 'color: var(--research-export-muted); font-size: 12px; overflow-wrap: anywhere;';
+            details.appendChild(name);
+            details.appendChild(status);
+            row.appendChild(details);
+
+            const sendButton = createDialogButton('Send', '#2563eb', () => {
+                sendButton.disabled = true;
+                status.style.color = 'var(--research-export-muted)';
+                sendToTarget(target, researchContainer, format, (progress) => {
+                    status.textContent = progress;
+                }).then((result) => {
+                    status.textContent = `✓ ${result}`;
+                    status.style.color = 'var(--research-export-success)';
+                }).catch((sendError) => {
+                    console.error(`Failed to send to ${target.name}:`, sendError);
+                    status.textContent = `Failed: ${sendError && sendError.message ? sendError.message : sendError}`;
+                    status.style.color = 'var(--research-export-error)';
+                }).then(() => {
+                    sendButton.disabled = false;
+                });
+            });
+            row.appendChild(sendButton);
+            dialog.appendChild(row);
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; margin-top: 16px;';
+        buttonRow.appendChild(createDialogButton('Settings…', '#6b7280', () => {
+            close();
+            openSettingsDialog();
+        }));
+        buttonRow.appendChild(createDialogButton('Close', '#4b5563', close));
+        dialog.appendChild(buttonRow);
+
+        document.body.appendChild(overlay);
+    }
+
+    // Function to list the sections of a research container, one per heading in document order,
+    // each with its heading level, title and the index of the section it belongs to
+    function getResearchSections(researchContainer) {
+        const sections = [];
+        const openSections = [];
+
+        for (const heading of researchContainer.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+            const level = parseInt(heading.tagName[1], 10);
+            while (openSections.length > 0 && sections[openSections[openSections.length - 1]].level >= level) {
+                openSections.pop();
+            }
+            sections.push({
+                level,
+                title: heading.textContent.replace(/\s+/g, ' ').trim() || '(Untitled)',
+                parent: openSections.length > 0 ? openSections[openSections.length - 1] : null,
+            });
+            openSections.push(sections.length - 1);
+        }
+
+        return sections;
+    }
+
+    // Function to create a range covering the content before the first heading of a container
+    function getPreambleRange(root, firstHeading) {
+        const range = document.createRange();
+        range.setStart(root, 0);
+        if (firstHeading) {
+            range.setEndBefore(firstHeading);
+        } else {
+            range.setEnd(root, root.childNodes.length);
+        }
+        return range;
+    }
+
+    // Function to copy a research container with only the selected sections, by index from getResearchSections.
+    // The heading of an unselected section stays when a section under it is selected, to keep the structure.
+    function buildSectionSubset(researchContainer, selectedSections, includePreamble) {
+        const clone = researchContainer.cloneNode(true);
+        delete clone.dataset.researchState;
+
+        const sections = getResearchSections(researchContainer);
+        const headings = Array.from(clone.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        const keepHeading = sections.map((section, i) => selectedSections.has(i));
+        for (const index of selectedSections) {
+            for (let parent = sections[index].parent; parent !== null; parent = sections[parent].parent) {
+                keepHeading[parent] = true;
+            }
+        }
+
+        // Ranges follow the changes to the tree, so they can all be created before any is deleted
+        const ranges = [];
+        if (!includePreamble) {
+            ranges.push(getPreambleRange(clone, headings[0]));
+        }
+        headings.forEach((heading, i) => {
+            if (selectedSections.has(i)) {
+                return;
+            }
+            const range = document.createRange();
+            if (keepHeading[i]) {
+                range.setStartAfter(heading);
+            } else {
+                range.setStartBefore(heading);
+            }
+            if (i + 1 < headings.length) {
+                range.setEndBefore(headings[i + 1]);
+            } else {
+                range.setEnd(clone, clone.childNodes.length);
+            }
+            ranges.push(range);
+        });
+        for (const range of ranges) {
+            range.deleteContents();
+        }
+
+        return clone;
+    }
+
+    // Function to open a dialog for exporting or copying only some sections of a research container
+    function openSectionPicker(researchContainer, format = outputFormat) {
+        // Its button is disabled while the research is being written
+        if (document.querySelector('.deep-research-sections-overlay') || isResearchInProgress(researchContainer)) {
+            return;
+        }
+
+        const sections = getResearchSections(researchContainer);
+        const firstHeading = researchContainer.querySelector('h1, h2, h3, h4, h5, h6');
+        const hasPreamble = getPreambleRange(researchContainer, firstHeading).toString().trim() !== '';
+        if (sections.length === 0) {
+            showToast('This research result has no headings to pick sections from.', 'warning');
+            return;
+        }
+
+        const { overlay, dialog, close } = createDialog('deep-research-sections-overlay', 'Export Sections');
+        const minLevel = Math.min(...sections.map(section => section.level));
+
+        const list = document.createElement('div');
+        list.style.cssText = 'margin-bottom: 16px;';
+
+        function createCheckbox(text, indent) {
+            const label = document.createElement('label');
+            label.style.cssText = `display: flex; gap: 8px; align-items: baseline; padding: 3px 0 3px ${indent * 20}px; cursor: pointer;`;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            list.appendChild(label);
+            return checkbox;
+        }
+
+        const preambleCheckbox = hasPreamble ? createCheckbox('(Text before the first heading)', 0) : null;
+        const checkboxes = sections.map(section => createCheckbox(section.title, section.level - minLevel));
+
+        // Checking or unchecking a section does the same to the sections under it
+        checkboxes.forEach((checkbox, i) => {
+            checkbox.addEventListener('change', () => {
+                for (let j = i + 1; j < sections.length && sections[j].level > sections[i].level; j++) {
+                    checkboxes[j].checked = checkbox.checked;
+                }
+            });
+        });
+        dialog.appendChild(list);
+
+        function setAll(checked) {
+            for (const checkbox of [preambleCheckbox, ...checkboxes].filter(Boolean)) {
+                checkbox.checked = checked;
+            }
+        }
+
+        // Build the selected part, or explain why there's nothing to export
+        function getSelection() {
+            const selectedSections = new Set(checkboxes
+                .map((checkbox, i) => (checkbox.checked ? i : -1))
+                .filter(i => i >= 0));
+            const includePreamble = Boolean(preambleCheckbox && preambleCheckbox.checked);
+            if (selectedSections.size === 0 && !includePreamble) {
+                showToast('Select at least one section.', 'warning');
+                return null;
+            }
+            return buildSectionSubset(researchContainer, selectedSections, includePreamble);
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end; flex-wrap: wrap;';
+        buttonRow.appendChild(createDialogButton('Select All', '#6b7280', () => setAll(true)));
+        buttonRow.appendChild(createDialogButton('Select None', '#6b7280', () => setAll(false)));
+        buttonRow.appendChild(createDialogButton('Cancel', '#4b5563', close));
+        buttonRow.appendChild(createDialogButton('Copy', '#6366f1', () => {
+            const subset = getSelection();
+            if (subset) {
+                close();
+                copyDeepResearchToClipboard(subset, format);
+            }
+        }));
+        buttonRow.appendChild(createDialogButton('Export', '#10a37f', () => {
+            const subset = getSelection();
+            if (subset) {
+                close();
+                exportDeepResearch(subset, format, false);
+            }
+        }));
+        dialog.appendChild(buttonRow);
+
+        document.body.appendChild(overlay);
+        checkboxes[0].focus();
+    }
+
+    // Exports kept to download again and compare with the page, oldest first, in userscript storage under this key.
+    // Images are always linked in the kept copy, so it stays small and works without its assets folder.
+    const exportHistoryKey = 'exportHistory';
+
+    // Lines of unchanged text shown around each change when comparing with an export
+    const diffContextLines = 3;
+
+    // Most lines on each side of the changed part of a comparison, which needs memory for every pair of them
+    const diffLineLimit = 2000;
+
+    // Function to read the export history
+    function getExportHistory() {
+        const history = getValue(exportHistoryKey, []);
+        return Array.isArray(history) ? history : [];
+    }
+
+    // Function to get the export history size limit in characters, 0 when history is turned off
+    function getExportHistoryLimit() {
+        const limit = parseFloat(getSetting('exportHistoryLimit'));
+        return Number.isFinite(limit) && limit > 0 ? Math.round(limit * 1024) : 0;
+    }
+
+    // Function to get the address of the conversation, without the query or fragment that can change between visits
+    function getConversationUrl() {
+        return `${window.location.origin}${window.location.pathname}`;
+    }
+
+    // Function to identify the conversation an export was made from, by its id where the address has one
+    function getHistoryConversation(url) {
+        return getConversationId(url) || url;
+    }
+
+    // Function to identify a research result within its conversation: by its own id, by its message's id and its
+    // place among the message's results, or by its place on the page when ChatGPT gives neither
+    function getResearchReportId(researchContainer) {
+        if (researchContainer.id) {
+            return `container:${researchContainer.id}`;
+        }
+        const containers = getDeepResearchContainers();
+        const message = researchContainer.closest('[data-message-id]');
+        if (message) {
+            const index = containers.filter(container => message.contains(container)).indexOf(researchContainer);
+            return `message:${message.getAttribute('data-message-id')}:${index}`;
+        }
+        return `position:${containers.indexOf(researchContainer)}`;
+    }
+
+    // Function to identify the report an export was made from, so its versions can be found together.
+    // Exports kept before reports had ids are told apart by title.
+    function getHistoryReportKey(entry) {
+        return [entry.kind, getHistoryConversation(entry.url), entry.reportId || entry.title, entry.format].join('\n');
+    }
+
+    // Function to get the size of the history's exports in characters
+    function getHistorySize(history) {
+        return history.reduce((size, entry) => size + entry.content.length, 0);
+    }
+
+    // Function to format a history size for display
+    function formatHistorySize(size) {
+        return `${(size / 1024).toFixed(size < 10240 ? 1 : 0)} KB`;
+    }
+
+    // Function to prune the history to a size limit. Older versions of a report go first, oldest first, then the
+    // oldest reports, so the last export of as many reports as possible stays to compare with.
+    function pruneExportHistory(history, limit) {
+        const latest = new Map(history.map(entry => [getHistoryReportKey(entry), entry]));
+        const isLatest = entry => latest.get(getHistoryReportKey(entry)) === entry;
+        const removalOrder = [...history.filter(entry => !isLatest(entry)), ...history.filter(isLatest)];
+
+        let size = getHistorySize(history);
+        const removed = new Set();
+        for (const entry of removalOrder) {
+            if (size <= limit) {
+                break;
+            }
+            removed.add(entry);
+            size -= entry.content.length;
+        }
+        return history.filter(entry => !removed.has(entry));
+    }
+
+    // Function to keep an export in the history. Exporting a report again unchanged moves its last version
+    // to the end instead of keeping a copy. reportId tells a research result apart from others in its conversation.
+    function recordExport(kind, title, format, filename, content, reportId = '') {
+        const limit = getExportHistoryLimit();
+        if (limit === 0) {
+            return;
+        }
+        if (content.length > limit) {
+            console.warn(`"${title}" is larger than the export history size limit and was not kept in the history.`);
+            return;
+        }
+
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            kind,
+            url: getConversationUrl(),
+            title,
+            reportId,
+            format,
+            filename,
+            timestamp: new Date().toISOString(),
+            content,
+        };
+        const key = getHistoryReportKey(entry);
+        let history = getExportHistory();
+        const previous = history.filter(candidate => getHistoryReportKey(candidate) === key).pop();
+        if (previous && previous.content === content) {
+            history = history.filter(candidate => candidate !== previous);
+        }
+        history.push(entry);
+        setValue(exportHistoryKey, pruneExportHistory(history, limit));
     }
 
-    // Function to get all deep research containers
-    function getDeepResearchContainers() {
-        return Array.from(document.querySelectorAll('.deep-research-result'));
+    // Function to remove exports from the history, or all of them without ids
+    function removeFromExportHistory(ids) {
+        setValue(exportHistoryKey, ids ? getExportHistory().filter(entry => !ids.includes(entry.id)) : []);
     }
 
-    // Function to generate frontmatter
-    function generateFrontmatter(title, url) {
-        const sanitizedTitle = sanitizeTitle(title);
-        return `---
-title: "${sanitizedTitle}"
-url: ${url}
-date: ${getTodayDate()}
----
-
-`;
+    // Function to find the report an export was made from on the current page, as a function converting it again
+    function findHistorySource(entry) {
+        if (getHistoryConversation(entry.url) !== getHistoryConversation(getConversationUrl()) || !outputFormats[entry.format]) {
+            return null;
+        }
+        if (entry.kind === 'conversation') {
+            return getConversationTurns().length > 0 ? () => buildConversationDocument(entry.format) : null;
+        }
+        const container = getDeepResearchContainers().find(candidate => (entry.reportId
+            ? getResearchReportId(candidate) === entry.reportId
+            : extractTitle(candidate) === entry.title));
+        return container && !isResearchInProgress(container) ? () => buildResearchDocument(container, entry.format) : null;
     }
 
-    // Toggle frontmatter setting
-    let includeFrontmatter = GM_getValue('includeFrontmatter', false);
+    // Function to compare two texts line by line, as a list of { type, line } where type is ' ', '-' or '+'.
+    // Lines between the common start and end are matched with a longest common subsequence.
+    // Gives null when more than diffLineLimit lines on either side lie between them.
+    function diffLines(oldText, newText) {
+        const oldLines = oldText.split('\n');
+        const newLines = newText.split('\n');
 
-    function toggleFrontmatter() {
-        includeFrontmatter = !includeFrontmatter;
-        GM_setValue('includeFrontmatter', includeFrontmatter);
-        alert(`Frontmatter ${includeFrontmatter ? 'enabled' : 'disabled'}`);
-        updateMenuCommand();
-    }
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
 
-    function updateMenuCommand() {
-        // Define a "namespace" for the menu command IDs
-        const namespace = 'chatgptResearchExport';
-        if (!window[namespace]) {
-            window[namespace] = {};
+        // common[i * width + j] is the length of the longest common subsequence of removed[i..] and added[j..]
+        const removed = oldLines.slice(start, oldEnd);
+        const added = newLines.slice(start, newEnd);
+        if (removed.length > diffLineLimit || added.length > diffLineLimit) {
+            return null;
         }
-        // Remove existing frontmatter menu command if it exists
-        if (window[namespace].menuFrontmatterCommandId) {
-            GM_unregisterMenuCommand(window[namespace].menuFrontmatterCommandId);
+        const width = added.length + 1;
+        const common = new Uint32Array((removed.length + 1) * width);
+        for (let i = removed.length - 1; i >= 0; i--) {
+            for (let j = added.length - 1; j >= 0; j--) {
+                common[i * width + j] = removed[i] === added[j]
+                    ? common[(i + 1) * width + j + 1] + 1
+                    : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+            }
         }
 
-        // Register new frontmatter menu command
-        window[namespace].menuFrontmatterCommandId = GM_registerMenuCommand(
-            `${includeFrontmatter ? '☑' : '☐'} Include Frontmatter`,
-            toggleFrontmatter
-        );
+        const changes = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+        let i = 0;
+        let j = 0;
+        while (i < removed.length || j < added.length) {
+            if (i < removed.length && j < added.length && removed[i] === added[j]) {
+                changes.push({ type: ' ', line: removed[i] });
+                i++;
+                j++;
+            } else if (i < removed.length && (j === added.length || common[(i + 1) * width + j] >= common[i * width + j + 1])) {
+                changes.push({ type: '-', line: removed[i++] });
+            } else {
+                changes.push({ type: '+', line: added[j++] });
+            }
+        }
+        changes.push(...oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+        return changes;
+    }
 
-        // Remove existing deduplication menu command if it exists
-        if (window[namespace].menuDeduplicateCitationsCommandId) {
-            GM_unregisterMenuCommand(window[namespace].menuDeduplicateCitationsCommandId);
+    // Function to show the changes between an export and the current conversion of the page
+    function openHistoryDiff(entry, currentContent) {
+        const changes = diffLines(entry.content, currentContent);
+        if (!changes) {
+            showToast(`Too much of ${entry.title} changed to compare: over ${diffLineLimit} lines. Download the export to compare it elsewhere.`, 'warning');
+            return;
         }
 
-        // Register new deduplication menu command
-        window[namespace].menuDeduplicateCitationsCommandId = GM_registerMenuCommand(
-            `${deduplicateCitations ? '☑' : '☐'} Deduplicate Citations`,
-            toggleDeduplicateCitations
-        );
-    }
+        const { overlay, dialog, close } = createDialog('deep-research-diff-overlay', `Changes in ${entry.title}`);
+        dialog.style.width = 'min(960px, calc(100vw - 32px))';
 
-    // Toggle citation deduplication strategy setting
-    let deduplicateCitations = GM_getValue('deduplicateCitations', true);
-    function toggleDeduplicateCitations() {
-        deduplicateCitations = !deduplicateCitations;
-        GM_setValue('deduplicateCitations', deduplicateCitations);
-        alert(`Citation deduplication ${deduplicateCitations ? 'enabled' : 'disabled'}`);
-        updateMenuCommand();
+        const addedCount = changes.filter(change => change.type === '+').length;
+        const removedCount = changes.filter(change => change.type === '-').length;
+
+        const summary = document.createElement('p');
+        summary.style.cssText = 'margin: 0 0 12px; color: var(--research-export-muted);';
+        summary.textContent = addedCount === 0 && removedCount === 0
+            ? `No changes since the export of ${new Date(entry.timestamp).toLocaleString()}.`
+            : `Since the export of ${new Date(entry.timestamp).toLocaleString()}: ` +
+                `${addedCount} line${addedCount === 1 ? '' : 's'} added, ${removedCount} line${removedCount === 1 ? '' : 's'} removed.`;
+        dialog.appendChild(summary);
+
+        // Show the changed lines with a few unchanged lines around them, and mark what's left out
+        const shown = changes.map(() => false);
+        changes.forEach((change, index) => {
+            if (change.type !== ' ') {
+                for (let k = Math.max(0, index - diffContextLines); k <= Math.min(changes.length - 1, index + diffContextLines); k++) {
+                    shown[k] = true;
+                }
+            }
+        });
+
+        if (addedCount > 0 || removedCount > 0) {
+            const diff = document.createElement('pre');
+            diff.style.cssText = `
+                margin: 0 0 16px;
+                padding: 8px 0;
+                overflow: auto;
+                border: 1px solid var(--research-export-border);
+                border-radius: 6px;
+                font: 12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                white-space: pre-wrap;
+            `;
+            const lineColors = { '+': 'var(--research-export-added)', '-': 'var(--research-export-removed)', ' ': 'transparent' };
+            changes.forEach((change, index) => {
+                if (!shown[index]) {
+                    if (index === 0 || shown[index - 1]) {
+                        const gap = document.createElement('div');
+                        gap.textContent = '⋯';
+                        gap.style.cssText = 'padding: 0 8px; color: var(--research-export-muted);';
+                        diff.appendChild(gap);
+                    }
+                    return;
+                }
+                const line = document.createElement('div');
+                line.textContent = `${change.type} ${change.line}`;
+                line.style.cssText = `padding: 0 8px; background: ${lineColors[change.type]};`;
+                diff.appendChild(line);
+            });
+            dialog.appendChild(diff);
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+        buttonRow.appendChild(createDialogButton('Close', '#4b5563', close));
+        dialog.appendChild(buttonRow);
+
+        document.body.appendChild(overlay);
     }
 
-    // Function to export deep research content
-    function exportDeepResearch(researchContainer) {
-        if (!researchContainer) {
-            alert('No deep research content found.');
+    // Function to open the export history, newest first, to download an export again or compare it with the page
+    function openExportHistory() {
+        if (document.querySelector('.deep-research-history-overlay')) {
             return;
         }
 
-        // Convert to markdown
-        let markdown = convertToMarkdown(researchContainer);
+        const { overlay, dialog, close } = createDialog('deep-research-history-overlay', 'Export History');
+        const history = getExportHistory().slice().reverse();
+        const limit = getExportHistoryLimit();
 
-        // Clean up extra whitespace
-        markdown = markdown
-            .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove extra blank lines
-            .replace(/^\s+|\s+$/g, '') // Trim start and end
-            .replace(/\n{3,}/g, '\n\n'); // Limit to maximum 2 consecutive newlines
+        const summary = document.createElement('p');
+        summary.style.cssText = 'margin: 0 0 12px; color: var(--research-export-muted);';
+        if (limit === 0) {
+            summary.textContent = 'Export history is off. Set a size limit in Settings… to keep exports.';
+        } else {
+            summary.textContent = `${history.length} export${history.length === 1 ? '' : 's'}, ` +
+                `${formatHistorySize(getHistorySize(history))} of ${formatHistorySize(limit)}.`;
+        }
+        dialog.appendChild(summary);
 
-        // Extract title for filename
-        const title = extractTitle(researchContainer);
+        const list = document.createElement('div');
+        list.style.cssText = 'margin-bottom: 16px;';
+        for (const entry of history) {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 8px 0; border-top: 1px solid var(--research-export-border);';
+
+            const details = document.createElement('div');
+            details.style.cssText = 'flex: 1; min-width: 0;';
+            const title = document.createElement('div');
+            title.textContent = entry.kind === 'conversation' ? `${entry.title} (conversation)` : entry.title;
+            title.style.cssText = 'font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const meta = document.createElement('div');
+            meta.textContent = [
+                new Date(entry.timestamp).toLocaleString(),
+                outputFormats[entry.format] ? outputFormats[entry.format].label : entry.format,
+                formatHistorySize(entry.content.length),
+                getHistoryConversation(entry.url) === getHistoryConversation(getConversationUrl()) ? 'this conversation' : entry.url,
+            ].join(' · ');
+            meta.style.cssText = 'color: var(--research-export-muted); font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            details.appendChild(title);
+            details.appendChild(meta);
+            row.appendChild(details);
+
+            const mimeType = outputFormats[entry.format] ? outputFormats[entry.format].mimeType : 'text/plain';
+            row.appendChild(createDialogButton('Download', '#10a37f', () => downloadFile(entry.content, entry.filename, mimeType)));
 
-        // Add frontmatter if enabled
-        if (includeFrontmatter) {
-            const currentUrl = window.location.href;
-            const frontmatter = generateFrontmatter(title, currentUrl);
-            markdown = frontmatter + markdown;
+            const convertSource = findHistorySource(entry);
+            if (convertSource) {
+                row.appendChild(createDialogButton('Compare', '#2563eb', () => {
+                    close();
+                    openHistoryDiff(entry, convertSource());
+                }));
+            }
+
+            row.appendChild(createDialogButton('Delete', '#6b7280', () => {
+                removeFromExportHistory([entry.id]);
+                close();
+                openExportHistory();
+            }));
+            list.appendChild(row);
         }
+        if (history.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No exports yet.';
+            list.appendChild(empty);
+        }
+        dialog.appendChild(list);
 
-        // Create and download the file
-        const blob = new Blob([markdown], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${sanitizeTitleForFilename(title)}.md`;
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+        if (history.length > 0) {
+            buttonRow.appendChild(createDialogButton('Clear History', '#dc2626', () => {
+                confirmInDialog('Clear History', 'Remove all exports from the history?', 'Clear History', '#dc2626').then((confirmed) => {
+                    if (confirmed) {
+                        removeFromExportHistory(null);
+                        close();
+                        openExportHistory();
+                    }
+                });
+            }));
+        }
+        buttonRow.appendChild(createDialogButton('Close', '#4b5563', close));
+        dialog.appendChild(buttonRow);
 
-        // Trigger download
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        document.body.appendChild(overlay);
+    }
 
-        console.log(`Deep research content exported: ${link.download}`);
+    // How long a research container must stay unchanged, without streaming indicators, to count as complete
+    const researchSettleDelay = 3000;
+
+    // Function to check for ChatGPT's signs that it is still writing a research container.
+    // Signs inside the container's turn count, and for the latest turn so do page-wide ones such as the stop button.
+    function hasStreamingIndicator(researchContainer) {
+        const turns = getConversationTurns();
+        const turn = turns.find(candidate => candidate.element.contains(researchContainer));
+        const scope = !turn || turn === turns[turns.length - 1] ? document : turn.element;
+        return getSelectorStrategies('streamingIndicators')
+            .filter(isValidSelector)
+            .some(selector => scope.querySelector(selector));
     }
 
-    // Function to copy to clipboard
-    function copyDeepResearchToClipboard(researchContainer) {
-        if (!researchContainer) {
-            alert('No deep research content found.');
+    // Function to check whether a research container is still being written
+    function isResearchInProgress(researchContainer) {
+        return researchContainer.dataset.researchState === 'streaming';
+    }
+
+    // Function to ask before exporting research that is still being written.
+    // Resolves to true to go ahead, without asking if none of the research is still being written.
+    function confirmIncompleteExport(researchContainers) {
+        if (!researchContainers.some(isResearchInProgress)) {
+            return Promise.resolve(true);
+        }
+        return confirmInDialog('Research still being written',
+            'Deep research is still being written, so the export will be incomplete. Export anyway?', 'Export Anyway');
+    }
+
+    // Function to record a research container's state and let its buttons know.
+    // written tells whether ChatGPT was seen writing a report that became complete.
+    function setResearchState(researchContainer, state, written = false) {
+        const previousState = researchContainer.dataset.researchState;
+        if (previousState === state) {
             return;
         }
+        researchContainer.dataset.researchState = state;
+        researchContainer.dispatchEvent(new CustomEvent('deep-research-state-change'));
+
+        // Only reports seen being written count as newly completed, not reports already finished when found
+        if (state === 'complete' && written && autoExportOnComplete && !researchContainer.dataset.autoExported) {
+            researchContainer.dataset.autoExported = 'true';
+            console.log('Deep research completed, exporting automatically');
+            exportDeepResearch(researchContainer);
+        }
+    }
 
-        let markdown = convertToMarkdown(researchContainer);
+    // Function to follow a research container until its content settles. It counts as being written from when it's
+    // found until it has stopped changing for researchSettleDelay, and for as long as ChatGPT shows it's still writing,
+    // so a report is waited for even when the streaming indicator selectors miss. Only a report ChatGPT was seen
+    // writing is exported automatically, since a finished report's page can change too while it loads.
+    // Once complete it stays complete, so later changes to the page can't mark it as being written again.
+    function trackResearchCompletion(researchContainer) {
+        let timer = null;
+        let written = hasStreamingIndicator(researchContainer);
+        const observer = new MutationObserver(waitForSettle);
 
-        // Clean up extra whitespace
-        markdown = markdown
-            .replace(/\n\s*\n\s*\n/g, '\n\n')
-            .replace(/^\s+|\s+$/g, '')
-            .replace(/\n{3,}/g, '\n\n');
+        // Wait for the content to stop changing, and keep waiting while ChatGPT still shows it's writing
+        function waitForSettle() {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                if (!researchContainer.isConnected) {
+                    observer.disconnect();
+                    return;
+                }
+                if (hasStreamingIndicator(researchContainer)) {
+                    written = true;
+                    waitForSettle();
+                    return;
+                }
+                observer.disconnect();
+                setResearchState(researchContainer, 'complete', written);
+            }, researchSettleDelay);
+        }
 
-        // Add frontmatter if enabled
-        if (includeFrontmatter) {
-            const title = extractTitle(researchContainer);
-            const currentUrl = window.location.href;
-            const frontmatter = generateFrontmatter(title, currentUrl);
-            markdown = frontmatter + markdown;
-        }
-
-        navigator.clipboard.writeText(markdown).then(() => {
-            alert('Deep research content copied to clipboard!');
-        }).catch(() => {
-            // Fallback for older browsers
-            const textArea = document.createElement('textarea');
-            textArea.value = markdown;
-            document.body.appendChild(textArea);
-            textArea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textArea);
-            alert('Deep research content copied to clipboard!');
+        observer.observe(researchContainer, {
+            childList: true,
+            characterData: true,
+            subtree: true
         });
+        setResearchState(researchContainer, 'streaming');
+        waitForSettle();
     }
 
-    // Create a button group for export/copy actions
+    // Create a button group for export/copy actions. A top group adds the page-wide Export All button when it gets
+    // a deep-research-show-export-all event.
     function createButtonGroup(researchContainer, position) {
         const buttonGroup = document.createElement('div');
         buttonGroup.className = 'deep-research-export-buttons';
+        buttonGroup.dataset.position = position;
         buttonGroup.style.cssText = `
             display: flex;
+            flex-wrap: wrap;
             gap: 10px;
             flex-direction: row;
             justify-content: flex-start;
             ${position === 'top' ? 'margin-bottom: 16px;' : 'margin-top: 16px;'}
         `;
 
+        // Create output format selector
+        const formatSelect = document.createElement('select');
+        formatSelect.className = 'deep-research-format-select';
+        formatSelect.title = 'Output format';
+        for (const [format, { label }] of Object.entries(outputFormats)) {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = label;
+            formatSelect.appendChild(option);
+        }
+        formatSelect.value = outputFormat;
+        formatSelect.style.cssText = `
+            background: var(--research-export-surface);
+            color: var(--research-export-text);
+            border: 1px solid var(--research-export-border);
+            padding: 10px 8px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        `;
+
         // Create download button
         const downloadBtn = document.createElement('button');
         downloadBtn.className = 'deep-research-export-btn';
-        downloadBtn.textContent = 'Export Research (MD)';
         downloadBtn.style.cssText = `
-            background: #10a37f;
+            background: var(--research-export-export);
             color: white;
             border: none;
             padding: 10px 15px;
@@ -492,14 +3975,76 @@ date: ${getTodayDate()}
             font-size: 14px;
             font-weight: 500;
         `;
-        downloadBtn.addEventListener('click', () => exportDeepResearch(researchContainer));
+        downloadBtn.addEventListener('click', () => runExport(downloadBtn, () => exportDeepResearch(researchContainer, formatSelect.value)));
 
         // Create copy button
         const copyBtn = document.createElement('button');
         copyBtn.className = 'deep-research-copy-btn';
-        copyBtn.textContent = 'Copy Research (MD)';
         copyBtn.style.cssText = `
-            background: #6366f1;
+            background: var(--research-export-copy);
+            color: white;
+            border: none;
+            padding: 10px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        `;
+        copyBtn.addEventListener('click', () => copyDeepResearchToClipboard(researchContainer, formatSelect.value));
+
+        // Create send button
+        const sendBtn = document.createElement('button');
+        sendBtn.className = 'deep-research-send-btn';
+        sendBtn.textContent = 'Send to…';
+        sendBtn.style.cssText = `
+            background: var(--research-export-send);
+            color: white;
+            border: none;
+            padding: 10px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        `;
+        sendBtn.addEventListener('click', () => openSendDialog(researchContainer, formatSelect.value));
+
+        // Create conversation export button
+        const conversationBtn = document.createElement('button');
+        conversationBtn.className = 'deep-research-conversation-btn';
+        conversationBtn.style.cssText = `
+            background: var(--research-export-conversation);
+            color: white;
+            border: none;
+            padding: 10px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        `;
+        conversationBtn.addEventListener('click', () => runExport(conversationBtn, () => exportConversation(formatSelect.value)));
+
+        // Create section picker button
+        const sectionsBtn = document.createElement('button');
+        sectionsBtn.className = 'deep-research-sections-btn';
+        sectionsBtn.textContent = 'Export Sections…';
+        sectionsBtn.style.cssText = `
+            background: var(--research-export-sections);
+            color: white;
+            border: none;
+            padding: 10px 15px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        `;
+        sectionsBtn.addEventListener('click', () => openSectionPicker(researchContainer, formatSelect.value));
+
+        // Create export all button
+        const exportAllBtn = document.createElement('button');
+        exportAllBtn.className = 'deep-research-export-all-btn';
+        exportAllBtn.textContent = 'Export All (ZIP)';
+        exportAllBtn.style.cssText = `
+            background: var(--research-export-export-all);
             color: white;
             border: none;
             padding: 10px 15px;
@@ -508,10 +4053,55 @@ date: ${getTodayDate()}
             font-size: 14px;
             font-weight: 500;
         `;
-        copyBtn.addEventListener('click', () => copyDeepResearchToClipboard(researchContainer));
+        exportAllBtn.addEventListener('click', () => runExport(exportAllBtn, () => exportAllResearch(formatSelect.value)));
+
+        // Keep button labels in sync with the selected format and remember it for next time.
+        // While the research is being written, its export and copy buttons wait for it to finish.
+        function updateButtonLabels() {
+            const { label } = outputFormats[formatSelect.value];
+            const researching = isResearchInProgress(researchContainer);
+            downloadBtn.textContent = researching ? 'Researching…' : `Export Research (${label})`;
+            copyBtn.textContent = researching ? 'Researching…' : `Copy Research (${label})`;
+            conversationBtn.textContent = `Export Conversation (${label})`;
+            for (const button of [downloadBtn, copyBtn, sectionsBtn, sendBtn]) {
+                button.disabled = researching;
+                button.style.opacity = researching ? '0.6' : '';
+                button.style.cursor = researching ? 'wait' : 'pointer';
+            }
+        }
+
+        // Function to show a button as busy while its export runs, and put it back however the export ends
+        function runExport(button, exportAction) {
+            const exporting = exportAction();
+            if (!exporting) {
+                return;
+            }
+            const label = button.textContent;
+            button.textContent = 'Exporting…';
+            button.disabled = true;
+            button.style.cursor = 'wait';
+            exporting.then(() => {
+                button.textContent = label;
+                button.disabled = false;
+                button.style.cursor = 'pointer';
+                updateButtonLabels();
+            });
+        }
 
+        formatSelect.addEventListener('change', () => {
+            setOutputFormat(formatSelect.value);
+            updateButtonLabels();
+        });
+        researchContainer.addEventListener('deep-research-state-change', updateButtonLabels);
+        updateButtonLabels();
+
+        buttonGroup.appendChild(formatSelect);
         buttonGroup.appendChild(downloadBtn);
         buttonGroup.appendChild(copyBtn);
+        buttonGroup.appendChild(sectionsBtn);
+        buttonGroup.appendChild(sendBtn);
+        buttonGroup.appendChild(conversationBtn);
+        buttonGroup.addEventListener('deep-research-show-export-all', () => buttonGroup.appendChild(exportAllBtn));
 
         return buttonGroup;
     }
@@ -526,6 +4116,9 @@ date: ${getTodayDate()}
                 continue;
             }
 
+            // Find out whether the research is still being written before the buttons show its state
+            trackResearchCompletion(container);
+
             // Create and insert button group at top
             const topButtons = createButtonGroup(container, 'top');
             container.parentNode.insertBefore(topButtons, container.parentNode.firstChild);
@@ -537,6 +4130,115 @@ date: ${getTodayDate()}
             // Mark container as processed
             container.dataset.exportButtonsAdded = 'true';
         }
+
+        // Export All covers the whole page, so only the first top group has it. When ChatGPT re-renders that group
+        // away, the button goes to the first one left.
+        if (!document.querySelector('.deep-research-export-all-btn')) {
+            const firstTopButtons = document.querySelector('.deep-research-export-buttons[data-position="top"]');
+            if (firstTopButtons) {
+                firstTopButtons.dispatchEvent(new CustomEvent('deep-research-show-export-all'));
+            }
+        }
+    }
+
+    // Modifier names accepted in keyboard shortcut settings, by the event property they stand for
+    const shortcutModifiers = {
+        ctrl: 'ctrlKey',
+        control: 'ctrlKey',
+        alt: 'altKey',
+        option: 'altKey',
+        shift: 'shiftKey',
+        meta: 'metaKey',
+        cmd: 'metaKey',
+        command: 'metaKey',
+    };
+
+    // Function to parse a keyboard shortcut setting such as "Alt+Shift+E", or get null when it isn't one.
+    // A shortcut needs Ctrl, Alt or Meta, so it can't get in the way of typing.
+    function parseShortcut(value) {
+        const parts = value.split('+').map(part => part.trim()).filter(Boolean);
+        const key = parts.pop();
+        if (!key || shortcutModifiers[key.toLowerCase()]) {
+            return null;
+        }
+
+        const shortcut = { ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, key: key.length === 1 ? key.toUpperCase() : key };
+        for (const part of parts) {
+            const modifier = shortcutModifiers[part.toLowerCase()];
+            if (!modifier) {
+                return null;
+            }
+            shortcut[modifier] = true;
+        }
+        return shortcut.ctrlKey || shortcut.altKey || shortcut.metaKey ? shortcut : null;
+    }
+
+    // Function to describe a keyboard shortcut setting, for the settings dialog preview
+    function formatShortcutSetting(value) {
+        if (!value.trim()) {
+            return 'None';
+        }
+        const shortcut = parseShortcut(value);
+        if (!shortcut) {
+            return 'Not a valid shortcut';
+        }
+        const modifiers = [['ctrlKey', 'Ctrl'], ['altKey', 'Alt'], ['shiftKey', 'Shift'], ['metaKey', 'Meta']]
+            .filter(([property]) => shortcut[property])
+            .map(([, name]) => name);
+        return [...modifiers, shortcut.key].join('+');
+    }
+
+    // Function to check whether a key press is a shortcut. Letters and digits are matched by their key position,
+    // because Alt changes the character they type on some keyboards.
+    function matchesShortcut(event, shortcut) {
+        if (['ctrlKey', 'altKey', 'shiftKey', 'metaKey'].some(property => event[property] !== shortcut[property])) {
+            return false;
+        }
+        if (/^[A-Z]$/.test(shortcut.key)) {
+            return event.code === `Key${shortcut.key}`;
+        }
+        if (/^[0-9]$/.test(shortcut.key)) {
+            return event.code === `Digit${shortcut.key}`;
+        }
+        return event.key.toLowerCase() === shortcut.key.toLowerCase();
+    }
+
+    // Function to find the research result nearest the middle of the viewport
+    function getNearestResearchContainer() {
+        const middle = window.innerHeight / 2;
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const container of getDeepResearchContainers()) {
+            const rect = container.getBoundingClientRect();
+            const distance = Math.max(rect.top - middle, middle - rect.bottom, 0);
+            if (distance < nearestDistance) {
+                nearest = container;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // Function to run the export or copy shortcut on the research result nearest the middle of the viewport
+    function handleShortcutKeydown(event) {
+        if (event.repeat || event.isComposing) {
+            return;
+        }
+
+        const shortcutActions = [
+            ['exportShortcut', container => exportDeepResearch(container)],
+            ['copyShortcut', container => copyDeepResearchToClipboard(container)],
+        ];
+        for (const [key, action] of shortcutActions) {
+            const shortcut = parseShortcut(getSetting(key));
+            if (shortcut && matchesShortcut(event, shortcut)) {
+                event.preventDefault();
+                event.stopPropagation();
+                action(getNearestResearchContainer());
+                return;
+            }
+        }
     }
 
     // Watch for deep research content to appear
@@ -544,12 +4246,13 @@ date: ${getTodayDate()}
         const observer = new MutationObserver((mutations) => {
             for (const mutation of mutations) {
                 if (mutation.type === 'childList') {
-                    // Check if there are any containers without buttons
+                    // Check if there are any containers without buttons, or if Export All was removed with its group
                     const containers = getDeepResearchContainers();
                     const hasUnprocessedContainers = containers.some(
                         container => !container.dataset.exportButtonsAdded
                     );
-                    if (hasUnprocessedContainers) {
+                    const exportAllMissing = containers.length > 0 && !document.querySelector('.deep-research-export-all-btn');
+                    if (hasUnprocessedContainers || exportAllMissing) {
                         addExportButtonsToContainers();
                         break;
                     }
@@ -563,13 +4266,338 @@ date: ${getTodayDate()}
         });
     }
 
+    // Function to report which selector strategies match the current page and what the exporter finds with them
+    function getDiagnosticsReport() {
+        const lines = [
+            'ChatGPT Deep Research Markdown Exporter diagnostics',
+            `Page: ${window.location.hostname}${window.location.pathname}`,
+        ];
+
+        for (const [kind, strategy] of Object.entries(selectorStrategies)) {
+            const used = resolveSelector(kind);
+            lines.push('', `${strategy.label} selectors:`);
+            for (const selector of getSelectorStrategies(kind)) {
+                if (!isValidSelector(selector)) {
+                    lines.push(`  ✗ ${selector} - invalid selector`);
+                    continue;
+                }
+                const count = document.querySelectorAll(selector).length;
+                const usedNote = selector === used && count > 0 ? ' (used)' : '';
+                lines.push(`  ${count > 0 ? '✓' : '✗'} ${selector} - ${count} match${count === 1 ? '' : 'es'}${usedNote}`);
+            }
+        }
+
+        // Count citations the way the converter sees them, including the ones it can't link
+        const containers = getDeepResearchContainers();
+        let citationCount = 0;
+        let unlinkedCount = 0;
+        let sourceCount = 0;
+        for (const container of containers) {
+            const citations = removeNestedElements(Array.from(container.querySelectorAll(resolveSelector('citations', container))));
+            citationCount += citations.length;
+            unlinkedCount += citations.filter(citation => !getCitationHref(citation)).length;
+
+            const sources = createSourceRegistry();
+            convertElement(container, textRenderer, { sources });
+            sourceCount += sources.counter - 1;
+        }
+
+        lines.push(
+            '',
+            `Research containers found: ${containers.length}`,
+            `Citations found: ${citationCount}, ${unlinkedCount} without a link`,
+            `Distinct sources: ${sourceCount}`,
+            `Conversation turns found: ${getConversationTurns().length}`,
+        );
+        return lines.join('\n');
+    }
+
+    // Function to mask text for a snapshot, keeping its length, whitespace and punctuation
+    function maskText(text) {
+        return text.replace(/\p{L}/gu, 'x').replace(/\p{N}/gu, '0');
+    }
+
+    // Function to reduce a URL to its scheme and host for a snapshot
+    function maskUrl(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            return ['http:', 'https:'].includes(parsed.protocol) ? `${parsed.origin}/…` : `${parsed.protocol}…`;
+        } catch (error) {
+            return '…';
+        }
+    }
+
+    // Function to build a snapshot of the page's markup for bug reports. The report goes in a comment at the top;
+    // text is masked, URLs are reduced to their host and only structural attributes are kept.
+    function buildSanitizedSnapshot(report) {
+        const clone = document.documentElement.cloneNode(true);
+        const structuralAttributes = ['id', 'class', 'role', 'lang', 'dir', 'type', 'colspan', 'rowspan', 'start'];
+        const maskedAttributes = ['title', 'alt', 'aria-label', 'placeholder'];
+
+        // Data and ARIA attributes the selectors and the exporter's own state use; the others can hold page
+        // content, such as message ids or formula sources, and are masked
+        const keptDataAttributes = [
+            'data-testid', 'data-message-author-role', 'data-turn', 'data-state', 'aria-hidden',
+            'data-research-state', 'data-export-buttons-added', 'data-auto-exported',
+        ];
+
+        for (const element of clone.querySelectorAll('script, style, noscript, iframe, template, link, meta, input[type="hidden"], .deep-research-settings-overlay')) {
+            element.remove();
+        }
+        // SVG drawings are large and say nothing about the structure the exporter reads
+        for (const svg of clone.querySelectorAll('svg')) {
+            svg.replaceChildren();
+        }
+
+        for (const element of [clone, ...clone.querySelectorAll('*')]) {
+            for (const { name, value } of Array.from(element.attributes)) {
+                if (name === 'href' || name === 'src') {
+                    element.setAttribute(name, maskUrl(value));
+                } else if (maskedAttributes.includes(name) ||
+                    ((name.startsWith('data-') || name.startsWith('aria-')) && !keptDataAttributes.includes(name))) {
+                    element.setAttribute(name, maskText(value));
+                } else if (!structuralAttributes.includes(name) && !keptDataAttributes.includes(name)) {
+                    element.removeAttribute(name);
+                }
+            }
+        }
+
+        const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        for (const node of textNodes) {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                node.remove();
+            } else {
+                node.textContent = maskText(node.textContent);
+            }
+        }
+
+        return `<!DOCTYPE html>\n<!--\n${report.replace(/--/g, '- -')}\n-->\n${clone.outerHTML}\n`;
+    }
+
+    // Function to show the diagnostics report and offer a sanitized snapshot of the page for a bug report
+    function diagnosePage() {
+        if (document.querySelector('.deep-research-diagnostics-overlay')) {
+            return;
+        }
+        const report = getDiagnosticsReport();
+        console.log(report);
+
+        const { overlay, dialog, close } = createDialog('deep-research-diagnostics-overlay', 'Diagnostics');
+
+        const reportText = document.createElement('pre');
+        reportText.textContent = report;
+        reportText.style.cssText = `
+            margin: 0 0 16px;
+            padding: 8px;
+            overflow: auto;
+            border: 1px solid var(--research-export-border);
+            border-radius: 6px;
+            font: 12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            white-space: pre-wrap;
+        `;
+        dialog.appendChild(reportText);
+
+        const question = document.createElement('p');
+        question.style.cssText = 'margin: 0 0 16px;';
+        question.textContent = 'Download a snapshot of the page markup for a bug report? Text is masked and links are reduced to their domain.';
+        dialog.appendChild(question);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 10px; justify-content: flex-end;';
+        buttonRow.appendChild(createDialogButton('Cancel', '#4b5563', close));
+        // The dialog is closed first, so it isn't part of the snapshot
+        const downloadButton = createDialogButton('Download Snapshot', '#10a37f', () => {
+            close();
+            downloadFile(buildSanitizedSnapshot(report), 'chatgpt-research-export-diagnostics.html', 'text/html');
+        });
+        buttonRow.appendChild(downloadButton);
+        dialog.appendChild(buttonRow);
+
+        document.body.appendChild(overlay);
+        downloadButton.focus();
+    }
+
+    // Function to collect every setting, in the shape the command-line converter reads with --settings
+    function getAllSettings() {
+        const settings = {
+            includeFrontmatter,
+            deduplicateCitations,
+            sharedConversationCitations,
+            citationStyle,
+            outputFormat,
+            imageMode,
+            autoExportOnComplete,
+            includeTableOfContents,
+            tableOfContentsDepth,
+            anchorStyle,
+            bibliographyFormat,
+        };
+        for (const field of settingsFields) {
+            settings[field.key] = getSetting(field.key);
+        }
+        return settings;
+    }
+
+    // Function to copy all settings as JSON, e.g. to reuse them with the command-line converter
+    function copySettingsToClipboard() {
+        navigator.clipboard.writeText(JSON.stringify(getAllSettings(), null, 2)).then(() => {
+            showToast('Settings copied to clipboard as JSON.');
+        }).catch((error) => {
+            console.error('Failed to copy settings:', error);
+            showToast(`Copy failed: ${error && error.message ? error.message : error}`, 'error');
+        });
+    }
+
+    // Function to replace settings, e.g. with the JSON copied from the userscript
+    function configure(settings) {
+        for (const [key, value] of Object.entries(settings)) {
+            setValue(key, value);
+        }
+
+        // Re-read the settings that are cached in variables
+        includeFrontmatter = getValue('includeFrontmatter', false);
+        deduplicateCitations = getValue('deduplicateCitations', true);
+        sharedConversationCitations = getValue('sharedConversationCitations', false);
+        autoExportOnComplete = getValue('autoExportOnComplete', false);
+        includeTableOfContents = getValue('includeTableOfContents', false);
+        tableOfContentsDepth = Math.min(Math.max(parseInt(getValue('tableOfContentsDepth', 3), 10) || 3, 2), 6);
+        anchorStyle = anchorStyles[getValue('anchorStyle', 'github')] ? getValue('anchorStyle', 'github') : 'github';
+        bibliographyFormat = bibliographyOptions[getValue('bibliographyFormat', 'off')] ? getValue('bibliographyFormat', 'off') : 'off';
+        citationStyle = citationStyles[getValue('citationStyle', 'inline')] ? getValue('citationStyle', 'inline') : 'inline';
+        outputFormat = outputFormats[getValue('outputFormat', 'markdown')] ? getValue('outputFormat', 'markdown') : 'markdown';
+        imageMode = imageModes[getValue('imageMode', 'link')] ? getValue('imageMode', 'link') : 'link';
+    }
+
+    // Function to run a function with the window, document and Node globals pointing at another page's window,
+    // because the converter reads the page through them
+    function withPageGlobals(pageWindow, callback) {
+        const globalNames = ['window', 'document', 'Node'];
+        const previousGlobals = globalNames.map(name => Object.getOwnPropertyDescriptor(globalThis, name));
+        Object.assign(globalThis, { window: pageWindow, document: pageWindow.document, Node: pageWindow.Node });
+
+        try {
+            return callback();
+        } finally {
+            globalNames.forEach((name, i) => {
+                if (previousGlobals[i]) {
+                    Object.defineProperty(globalThis, name, previousGlobals[i]);
+                } else {
+                    delete globalThis[name];
+                }
+            });
+        }
+    }
+
+    // Function to convert a page loaded in another DOM implementation, such as jsdom, into export files.
+    // Resolves to [{ title, path, content, assets, bibliographies }], where assets are the bundled image files
+    // and bibliographies the CSL-JSON and BibTeX files chosen in the bibliographyFormat setting.
+    // Options:
+    //   format - output format, defaults to the outputFormat setting
+    //   conversation - export the whole conversation instead of each deep research result
+    //   imageMode - 'link', 'embed' or 'bundle', defaults to the imageMode setting
+    //   loadImage - function that loads an image src as { bytes, mimeType }, needed to embed or bundle images
+    //   usedNames - set of paths already written, to keep paths unique across pages
+    function convertPage(pageWindow, options = {}) {
+        const format = options.format || outputFormat;
+        if (!outputFormats[format]) {
+            return Promise.reject(new Error(`Unknown format "${format}", expected one of: ${Object.keys(outputFormats).join(', ')}`));
+        }
+        const mode = format === 'text' ? 'link' : options.imageMode || imageMode;
+        if (!imageModes[mode]) {
+            return Promise.reject(new Error(`Unknown image mode "${mode}", expected one of: ${Object.keys(imageModes).join(', ')}`));
+        }
+        const usedNames = options.usedNames || new Set();
+
+        // Find what to export, each with the elements holding its images and a function building its content
+        const exports = withPageGlobals(pageWindow, () => {
+            const url = pageWindow.location.href;
+            const { extension } = outputFormats[format];
+
+            if (options.conversation) {
+                const turns = getConversationTurns();
+                if (turns.length === 0) {
+                    return [];
+                }
+                const title = getConversationTitle();
+                return [{
+                    title,
+                    path: getUniqueFilename(buildExportPath(title, url), extension, usedNames),
+                    elements: turns.map(turn => turn.element),
+                    build: (images, sourceRegistries) => buildConversationDocument(format, images, sourceRegistries),
+                }];
+            }
+
+            return getDeepResearchContainers().map((container) => {
+                const title = extractTitle(container);
+                return {
+                    title,
+                    path: getUniqueFilename(buildExportPath(title, url), extension, usedNames),
+                    elements: [container],
+                    build: (images, sourceRegistries) => buildResearchDocument(container, format, images, sourceRegistries),
+                };
+            });
+        });
+
+        return Promise.all(exports.map(({ title, path, elements, build }) => {
+            const collecting = withPageGlobals(pageWindow, () => collectImageAssets(elements, {
+                mode,
+                assetFolder: `assets/${path.replace(/\.[^.]+$/, '')}`,
+                documentPath: path,
+                loadImage: options.loadImage,
+            }));
+            return collecting.then(({ images, files }) => {
+                const sourceRegistries = [];
+                return {
+                    title,
+                    path,
+                    content: withPageGlobals(pageWindow, () => build(images, sourceRegistries)),
+                    assets: files,
+                    bibliographies: buildBibliographyFiles(sourceRegistries, path.replace(/\.[^.]+$/, '')),
+                };
+            });
+        }));
+    }
+
+    // When loaded as a module, expose the converter instead of touching the page
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            configure,
+            getAllSettings,
+            convertPage,
+            convertElement,
+            convertToMarkdown,
+            createSourceRegistry,
+            outputFormats,
+            imageModes,
+            citationStyles,
+            bibliographyOptions,
+            escapeContent,
+            escapeLineStart,
+            diffLines,
+            pruneExportHistory,
+            parseSendTargets,
+            fillPayloadTemplate,
+            parseShortcut,
+            formatShortcutSetting,
+            matchesShortcut,
+        };
+        return;
+    }
+
     // Initialize
     setTimeout(() => {
-        // Register menu command
+        installThemeStyles();
+
+        // Register menu commands
         updateMenuCommand();
 
         addExportButtonsToContainers();
         watchForResearchContent();
+        document.addEventListener('keydown', handleShortcutKeydown, true);
     }, 2000);
 
 })();
\ No newline at end of file
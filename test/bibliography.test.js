@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const exporter = require('..');
+
+// Function to convert a research result citing the given sources, as [{ title, href }]
+function convertCitations(sources, settings = {}) {
+    const citations = sources.map(({ title, href }) => {
+        const link = new JSDOM().window.document.createElement('a');
+        link.setAttribute('href', href);
+        link.setAttribute('title', title);
+        link.textContent = 'source';
+        return `<span data-state="closed">${link.outerHTML}</span>`;
+    });
+    const html = `<div class="deep-research-result"><h1>Report</h1><p>Claim${citations.join('')}.</p></div>`;
+    const { window } = new JSDOM(html, { url: 'https://chatgpt.com/c/bibliography' });
+
+    exporter.configure({ citationStyle: 'inline', includeFrontmatter: false, bibliographyFormat: 'both', ...settings });
+    return exporter.convertPage(window).then(([result]) => result);
+}
+
+test('escapes the characters that are special in BibTeX', async () => {
+    const { bibliographies } = await convertCitations([
+        { title: 'a\\b {x} & 50% $5 #1 snake_case ~ ^', href: 'https://example.com/a' },
+    ]);
+    const bibtex = bibliographies.find(file => file.name.endsWith('.bib')).content;
+
+    assert.match(bibtex, /^@misc\{source1,\n/);
+    assert.ok(bibtex.includes(
+        '  title = {{a\\textbackslash{}b \\{x\\} \\& 50\\% \\$5 \\#1 snake\\_case \\textasciitilde{} \\textasciicircum{}}},\n'
+    ), bibtex);
+});
+
+test('numbers bibliography entries like the citations', async () => {
+    const { content, bibliographies } = await convertCitations([
+        { title: 'First', href: 'https://example.com/first' },
+        { title: 'Second', href: 'https://example.org/second' },
+    ]);
+    const csl = JSON.parse(bibliographies.find(file => file.name.endsWith('.csl.json')).content);
+    const bibtex = bibliographies.find(file => file.name.endsWith('.bib')).content;
+
+    assert.match(content, /\[\[1\]\]\(https:\/\/example\.com\/first\) \[\[2\]\]\(https:\/\/example\.org\/second\)/);
+    assert.deepEqual(csl.map(item => [item.id, item.title, item.URL]), [
+        ['1', 'First', 'https://example.com/first'],
+        ['2', 'Second', 'https://example.org/second'],
+    ]);
+    assert.deepEqual(bibtex.match(/^@misc\{\w+/gm), ['@misc{source1', '@misc{source2']);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+test('converts each research result to markdown with numbered citations', async () => {
+    const exports = await convertFixture('conversation.html');
+
+    assert.equal(exports.length, 1);
+    const [{ title, path: exportPath, content, assets, bibliographies }] = exports;
+    assert.equal(title, 'Solid-State Batteries');
+    assert.equal(exportPath, 'Solid-State-Batteries.md');
+    assert.match(content, /^# Solid-State Batteries\n/);
+    assert.match(content, /higher energy density \[\[1\]\]\(https:\/\/www\.example\.com\/energy#density\)/);
+    assert.match(content, /Costs remain high \[\[2\]\]\(https:\/\/research\.example\.org\/costs\), at \\\$400 per kWh\./);
+    assert.match(content, /^2\. Better safety \[\[1\]\]\(https:\/\/www\.example\.com\/energy\?page=2\)/m);
+    assert.deepEqual(assets, []);
+    assert.deepEqual(bibliographies, []);
+});
+
+test('ends footnote exports with a Sources section listing titles and merged links', async () => {
+    const [{ content }] = await convertFixture('conversation.html', { citationStyle: 'footnotes' });
+
+    assert.match(content, /density\[\^1\]\./);
+    assert.match(content, /\[\^1\]: Energy Journal, <https:\/\/www\.example\.com\/energy#density>\n    - <https:\/\/www\.example\.com\/energy\?page=2>/);
+    assert.match(content, /\[\^2\]: Cost & \{Scale\} Study, <https:\/\/research\.example\.org\/costs>/);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cliPath = path.join(__dirname, '..', 'bin', 'chatgpt-research-export.js');
+const fixturePath = path.join(__dirname, 'fixtures', 'conversation.html');
+
+// Function to run the CLI, resolving with its exit code and output
+function runCli(args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], { encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Function to create an empty output directory, removed when the test ends
+function createOutDir(t) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatgpt-research-export-'));
+    t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+    return outDir;
+}
+
+test('writes one file per research result', (t) => {
+    const outDir = createOutDir(t);
+    const { status, stdout } = runCli(['-o', outDir, '--citation-style', 'footnotes', '-b', 'bibtex', fixturePath]);
+
+    assert.equal(status, 0);
+    assert.match(stdout, /-> .*Solid-State-Batteries\.md/);
+    assert.deepEqual(fs.readdirSync(outDir).sort(), ['Solid-State-Batteries.bib', 'Solid-State-Batteries.md']);
+    assert.match(fs.readFileSync(path.join(outDir, 'Solid-State-Batteries.md'), 'utf8'), /\[\^1\]: Energy Journal/);
+});
+
+test('reports a missing input path without a stack trace', () => {
+    const { status, stderr } = runCli(['does-not-exist.html']);
+
+    assert.equal(status, 2);
+    assert.match(stderr, /^No such file or directory: does-not-exist\.html\n/);
+    assert.doesNotMatch(stderr, /\n\s+at /);
+});
+
+test('reports unreadable settings without a stack trace', (t) => {
+    const settingsPath = path.join(createOutDir(t), 'settings.json');
+    fs.writeFileSync(settingsPath, '{ not json');
+    const { status, stderr } = runCli(['-s', settingsPath, fixturePath]);
+
+    assert.equal(status, 2);
+    assert.match(stderr, /^Could not read settings from .*settings\.json: /);
+    assert.doesNotMatch(stderr, /\n\s+at /);
+});
+
+test('rejects unknown citation styles and bibliography formats', () => {
+    const citationStyle = runCli(['--citation-style', 'chicago', fixturePath]);
+    assert.equal(citationStyle.status, 2);
+    assert.match(citationStyle.stderr, /^Unknown --citation-style value "chicago", expected one of: inline, footnotes, reference/);
+
+    const bibliography = runCli(['-b', 'ris', fixturePath]);
+    assert.equal(bibliography.status, 2);
+    assert.match(bibliography.stderr, /^Unknown --bibliography value "ris", expected one of: off, csl, bibtex, both/);
+});
+
+test('rejects unknown formats and image modes', () => {
+    assert.equal(runCli(['-f', 'pdf', fixturePath]).status, 2);
+    assert.equal(runCli(['-i', 'inline', fixturePath]).status, 2);
+});
+
+test('only reads images from the folder of the saved page', (t) => {
+    const root = createOutDir(t);
+    const pageFolder = path.join(root, 'page');
+    fs.mkdirSync(path.join(pageFolder, 'Report_files'), { recursive: true });
+    fs.writeFileSync(path.join(pageFolder, 'Report_files', 'chart.png'), fs.readFileSync(path.join(__dirname, 'fixtures', 'chart.png')));
+    fs.writeFileSync(path.join(root, 'secret.png'), 'secret');
+    const secretUrl = `file://${path.join(root, 'secret.png')}`;
+    fs.writeFileSync(path.join(pageFolder, 'Report.html'), '<div class="deep-research-result"><h1>Report</h1>' +
+        `<p><img src="Report_files/chart.png" alt="Chart"><img src="../secret.png" alt="Up"><img src="${secretUrl}" alt="File"></p></div>`);
+
+    const { status, stderr } = runCli(['-i', 'bundle', path.join(pageFolder, 'Report.html')]);
+
+    assert.equal(status, 0);
+    assert.deepEqual(fs.readdirSync(path.join(pageFolder, 'assets', 'Report')), ['image-1.png']);
+    const markdown = fs.readFileSync(path.join(pageFolder, 'Report.md'), 'utf8');
+    assert.match(markdown, /!\[Up\]\(\.\.\/secret\.png\)/);
+    assert.match(markdown, /!\[File\]\(<?file:\/\//);
+    assert.match(stderr, /Could not load image \.\.\/secret\.png: not in the folder of the page/);
+});
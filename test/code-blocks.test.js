@@ -0,0 +1,15 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertHtml } = require('./helpers');
+
+test('takes code block languages from ChatGPT\'s header, not from highlighted code', async () => {
+    const html = '<div class="deep-research-result"><h1>Code</h1>' +
+        '<pre><div><span>python</span><button>Copy code</button></div><code>x = 1</code></pre>' +
+        '<pre><span class="k">def</span> f(): pass</pre></div>';
+    const content = await convertHtml(html);
+
+    assert.match(content, /```python\nx = 1\n```/);
+    assert.match(content, /```\ndef f\(\): pass\n```/);
+});
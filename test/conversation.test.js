@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+test('exports the whole conversation with labelled turns', async () => {
+    const exports = await convertFixture('conversation.html', {}, { conversation: true });
+
+    assert.equal(exports.length, 1);
+    const [{ title, content }] = exports;
+    assert.equal(title, 'Battery Research');
+    const headings = content.match(/^#+ .+$/gm);
+    assert.deepEqual(headings.slice(0, 6), [
+        '# Battery Research',
+        '## User',
+        '## ChatGPT',
+        '## User',
+        '## ChatGPT',
+        '### Solid-State Batteries',
+    ]);
+});
+
+test('prefixes citation labels in conversation exports with the research result\'s number', async () => {
+    const [{ content, bibliographies }] = await convertFixture('conversation.html', {
+        citationStyle: 'footnotes',
+        bibliographyFormat: 'both',
+    }, { conversation: true });
+
+    // The plain answer before the research result doesn't count towards the prefix
+    assert.match(content, /density\[\^1-1\]\./);
+    assert.match(content, /^\[\^1-2\]: Cost & \{Scale\} Study/m);
+    const csl = JSON.parse(bibliographies.find(file => file.name.endsWith('.csl.json')).content);
+    assert.deepEqual(csl.map(item => item.id), ['answer1-1', '1-1', '1-2']);
+    assert.match(bibliographies.find(file => file.name.endsWith('.bib')).content, /^@misc\{sourceanswer1_1,[^]*^@misc\{source1_1,/m);
+});
+
+test('puts the sources of a plain answer under its turn and those of a research result under its title', async () => {
+    const [{ content }] = await convertFixture('conversation.html', { citationStyle: 'footnotes' }, { conversation: true });
+
+    const headings = content.match(/^#+ .+$/gm);
+    assert.deepEqual(headings, [
+        '# Battery Research',
+        '## User',
+        '## ChatGPT',
+        '### Sources',
+        '## User',
+        '## ChatGPT',
+        '### Solid-State Batteries',
+        '#### Findings',
+        '#### Recommendations',
+        '#### Sources',
+    ]);
+    assert.match(content, /^### Sources\n\n\[\^answer1-1\]: Uses Guide, <https:\/\/www\.example\.net\/uses>$/m);
+});
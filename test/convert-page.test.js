@@ -0,0 +1,19 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+test('keeps paths unique across pages with the same title', async () => {
+    const usedNames = new Set();
+    const [first] = await convertFixture('conversation.html', {}, { usedNames });
+    const [second] = await convertFixture('conversation.html', {}, { usedNames });
+
+    assert.equal(first.path, 'Solid-State-Batteries.md');
+    assert.equal(second.path, 'Solid-State-Batteries-2.md');
+});
+
+test('rejects unknown formats and image modes', async () => {
+    await assert.rejects(convertFixture('conversation.html', {}, { format: 'pdf' }), /Unknown format "pdf"/);
+    await assert.rejects(convertFixture('conversation.html', {}, { imageMode: 'inline' }), /Unknown image mode "inline"/);
+});
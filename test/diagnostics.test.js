@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript } = require('./helpers');
+
+const pageHtml = `<main>
+<div data-message-id="msg-42" data-message-author-role="assistant" data-turn="assistant" aria-describedby="secret-note">
+<div class="deep-research-result" data-formula="E = mc2" aria-label="Battery report" data-testid="research-result">
+<h1 title="Battery Report">Battery Report</h1>
+<p>Costs fell 40%<span data-state="closed"><a href="https://www.example.com/costs?id=7" aria-hidden="true">Cost Study</a></span>.</p>
+</div>
+</div>
+</main>`;
+
+// Function to read a blob from the page as text
+function readBlob(window, blob) {
+    return new Promise((resolve) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+}
+
+// Function to open Diagnose Page and choose a button in its dialog
+async function runDiagnostics(buttonText) {
+    const page = await loadUserscript(pageHtml);
+    page.runMenuCommand('Diagnose Page');
+    const overlay = page.document.querySelector('.deep-research-diagnostics-overlay');
+    assert.match(overlay.querySelector('pre').textContent, /Research container selectors:\n  ✓ \.deep-research-result - 1 match \(used\)/);
+    Array.from(overlay.querySelectorAll('button')).find(button => button.textContent === buttonText).click();
+    return page;
+}
+
+test('downloads nothing when the snapshot is cancelled', async () => {
+    const { document, downloads } = await runDiagnostics('Cancel');
+
+    assert.equal(document.querySelector('.deep-research-diagnostics-overlay'), null);
+    assert.equal(downloads.length, 0);
+});
+
+test('masks text, links and data and ARIA attributes outside the allow-list in the snapshot', async () => {
+    const { window, document, downloads } = await runDiagnostics('Download Snapshot');
+
+    assert.equal(document.querySelector('.deep-research-diagnostics-overlay'), null);
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].filename, 'chatgpt-research-export-diagnostics.html');
+    const snapshot = await readBlob(window, downloads[0].blob);
+
+    // Attributes the selectors read are kept as they are
+    assert.match(snapshot, /data-message-author-role="assistant"/);
+    assert.match(snapshot, /data-turn="assistant"/);
+    assert.match(snapshot, /data-testid="research-result"/);
+    assert.match(snapshot, /data-state="closed"/);
+    assert.match(snapshot, /aria-hidden="true"/);
+    // Other data and ARIA attributes can hold page content
+    assert.match(snapshot, /data-message-id="xxx-00"/);
+    assert.match(snapshot, /data-formula="x = xx0"/);
+    assert.match(snapshot, /aria-describedby="xxxxxx-xxxx"/);
+    assert.match(snapshot, /aria-label="xxxxxxx xxxxxx"/);
+    assert.match(snapshot, /title="xxxxxxx xxxxxx"/);
+    assert.match(snapshot, /href="https:\/\/www\.example\.com\/…"/);
+    assert.match(snapshot, /<p>xxxxx xxxx 00%/);
+    assert.doesNotMatch(snapshot.replace(/^<!--[^]*?-->/m, ''), /Battery|Cost|msg-42|costs\?id/);
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeContent, escapeLineStart } = require('..');
+const { convertResearchBody } = require('./helpers');
+
+const lineStartCases = [
+    { line: '# not a heading', escaped: '\\# not a heading' },
+    { line: '#hashtag', escaped: '\\#hashtag' },
+    { line: '> not a quote', escaped: '\\> not a quote' },
+    { line: '1. not a list', escaped: '1\\. not a list' },
+    { line: '2) not a list', escaped: '2\\) not a list' },
+    { line: '- not a list', escaped: '\\- not a list' },
+    { line: '+ not a list', escaped: '\\+ not a list' },
+    { line: '=== not an underline', escaped: '\\=== not an underline' },
+    { line: '  # indented', escaped: '  \\# indented' },
+    { line: 'a # b > c 1. d - e', escaped: 'a # b > c 1. d - e' },
+];
+
+for (const { line, escaped } of lineStartCases) {
+    test(`escapes the start of the line "${line}"`, () => {
+        assert.equal(escapeLineStart(line), escaped);
+    });
+}
+
+test('escapes line starts only where a line begins', () => {
+    assert.equal(escapeContent('# a\n# b'), '# a\n\\# b');
+    assert.equal(escapeContent('# a\n# b', true), '\\# a\n\\# b');
+    assert.equal(escapeContent('1. a\n> b\n- c', true), '1\\. a\n\\> b\n\\- c');
+});
+
+test('escapes inline formatting, HTML, math and character references', () => {
+    assert.equal(escapeContent('*a* _b_ [c] `d` <e> $5 ~f~ g\\h &amp; & i'),
+        '\\*a\\* \\_b\\_ \\[c\\] \\`d\\` \\<e> \\$5 \\~f\\~ g\\\\h \\&amp; & i');
+});
+
+const pageCases = [
+    { html: '<p># not a heading</p>', markdown: '\\# not a heading' },
+    { html: '<p>&gt; not a quote</p>', markdown: '\\> not a quote' },
+    { html: '<p>1. not a list</p>', markdown: '1\\. not a list' },
+    { html: '<p>- not a list</p>', markdown: '\\- not a list' },
+    { html: '<p>line<br># after a break</p>', markdown: 'line  \n\\# after a break' },
+    { html: '<p><strong>bold</strong> # in the middle</p>', markdown: '**bold** # in the middle' },
+    { html: '<blockquote><p># in a quote</p></blockquote>', markdown: '> \\# in a quote' },
+    { html: '<ul><li>1. in an item</li></ul>', markdown: '- 1\\. in an item' },
+];
+
+for (const { html, markdown } of pageCases) {
+    test(`escapes block markers in ${html}`, async () => {
+        assert.equal(await convertResearchBody(html), markdown);
+    });
+}
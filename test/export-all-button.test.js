@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript } = require('./helpers');
+
+// Two finished research results, each in a message of its own
+const pageHtml = `<main>
+<div class="message" id="first"><div class="deep-research-result"><h1>First</h1><p>one</p></div></div>
+<div class="message" id="second"><div class="deep-research-result"><h1>Second</h1><p>two</p></div></div>
+</main>`;
+
+test('shows one Export All button, with the first research result\'s buttons', async () => {
+    const { document } = await loadUserscript(pageHtml);
+
+    const exportAllButtons = document.querySelectorAll('.deep-research-export-all-btn');
+    assert.equal(exportAllButtons.length, 1);
+    assert.equal(exportAllButtons[0].closest('.message').id, 'first');
+    assert.equal(exportAllButtons[0].parentNode.dataset.position, 'top');
+});
+
+test('moves Export All to the next research result when ChatGPT re-renders the first away', async () => {
+    const { document, advance } = await loadUserscript(pageHtml);
+
+    document.getElementById('first').remove();
+    await advance(0);
+
+    const exportAllButtons = document.querySelectorAll('.deep-research-export-all-btn');
+    assert.equal(exportAllButtons.length, 1);
+    assert.equal(exportAllButtons[0].closest('.message').id, 'second');
+    assert.equal(exportAllButtons[0].parentNode.dataset.position, 'top');
+});
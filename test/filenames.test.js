@@ -0,0 +1,13 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+test('suffixes names Windows reserves on the part before the first dot', async () => {
+    const names = { 'CON': 'CON_', 'con.txt': 'con_.txt', 'LPT1.tar.gz': 'LPT1_.tar.gz', 'nul ': 'nul_', 'console': 'console' };
+    for (const [template, expected] of Object.entries(names)) {
+        const [{ path: exportPath }] = await convertFixture('conversation.html', { filenameTemplate: template });
+        assert.equal(exportPath, `${expected}.md`, template);
+    }
+});
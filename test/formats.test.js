@@ -0,0 +1,16 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+test('converts to standalone HTML and plain text', async () => {
+    const [html] = await convertFixture('conversation.html', {}, { format: 'html' });
+    assert.equal(html.path, 'Solid-State-Batteries.html');
+    assert.match(html.content, /^<!DOCTYPE html>/);
+    assert.match(html.content, /<h2 id="findings">Findings<\/h2>/);
+
+    const [text] = await convertFixture('conversation.html', {}, { format: 'text' });
+    assert.equal(text.path, 'Solid-State-Batteries.txt');
+    assert.doesNotMatch(text.content, /[<>]|\]\(/);
+});
@@ -0,0 +1,14 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+test('adds frontmatter from the template', async () => {
+    const [{ content }] = await convertFixture('conversation.html', {
+        includeFrontmatter: true,
+        frontmatterTemplate: 'title: {{title}}\nid: {{conversation_id}}\nsources: {{source_count}}\ndomains: {{domains}}',
+    });
+
+    assert.match(content, /^---\ntitle: "Solid-State Batteries"\nid: "fixture-convo-1"\nsources: 2\ndomains: \["example\.com", "research\.example\.org"\]\n---\n\n# /);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+// Helpers shared by the test files, which convert fixture pages and inline HTML with the module API,
+// or run the userscript on a jsdom page
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const exporter = require('..');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const userscriptSource = fs.readFileSync(path.join(__dirname, '..', 'chatgpt-research-export.user.js'), 'utf8');
+
+// Settings every test starts from, since the converter keeps settings between calls
+const defaultSettings = {
+    includeFrontmatter: false,
+    deduplicateCitations: true,
+    sharedConversationCitations: false,
+    includeTableOfContents: false,
+    citationStyle: 'inline',
+    bibliographyFormat: 'off',
+    outputFormat: 'markdown',
+    imageMode: 'link',
+    filenameTemplate: '{{slug}}',
+};
+
+// Function to load a fixture page into jsdom, at the URL it was saved from
+function loadFixture(name, url = 'https://chatgpt.com/c/fixture-convo-1') {
+    const html = fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+    return new JSDOM(html, { url }).window;
+}
+
+// Function to convert a fixture page with settings on top of the defaults
+function convertFixture(name, settings = {}, options = {}) {
+    exporter.configure({ ...defaultSettings, ...settings });
+    return exporter.convertPage(loadFixture(name), options);
+}
+
+// Function to convert a page made of the given HTML, resolving to the content of its first export
+function convertHtml(html, settings = {}, options = {}) {
+    exporter.configure({ ...defaultSettings, ...settings });
+    const { window } = new JSDOM(html, { url: 'https://chatgpt.com/c/inline' });
+    return exporter.convertPage(window, options).then(([result]) => result.content);
+}
+
+// Function to convert the HTML of a research result's body, after its title, resolving to the converted body
+function convertResearchBody(body, settings = {}, options = {}) {
+    const html = `<div class="deep-research-result"><h1>Report</h1>${body}</div>`;
+    return convertHtml(html, settings, options).then(content => content.replace(/^[^]*?# Report\n\n/, '').replace(/\n+$/, ''));
+}
+
+// Function to let pending promise callbacks and mutation observers run
+function flushMicrotasks() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Function to run the userscript on a jsdom page, as Tampermonkey would, with its storage and menu stubbed.
+// Timers run on a fake clock moved forward with advance(ms), and downloads are collected instead of saved.
+// Only errors the script logs are shown.
+// Resolves to { window, document, storage, runMenuCommand, getMenu, downloads, advance } once the script has set up.
+async function loadUserscript(html, { settings = {}, url = 'https://chatgpt.com/c/userscript' } = {}) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => console.error(...args));
+    virtualConsole.on('jsdomError', error => console.error(error));
+    const { window } = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const storage = { ...settings };
+    const menu = new Map();
+    let nextMenuId = 1;
+    const downloads = [];
+
+    const timers = new Map();
+    let nextTimerId = 1;
+    let now = 0;
+
+    Object.assign(window, {
+        TextEncoder,
+        GM_getValue: (key, defaultValue) => (key in storage ? storage[key] : defaultValue),
+        // Values are stored as JSON, as userscript managers do
+        GM_setValue: (key, value) => {
+            storage[key] = JSON.parse(JSON.stringify(value));
+        },
+        GM_registerMenuCommand: (name, command) => {
+            menu.set(nextMenuId, { name, command });
+            return nextMenuId++;
+        },
+        GM_unregisterMenuCommand: id => menu.delete(id),
+        setTimeout: (callback, delay = 0) => {
+            timers.set(nextTimerId, { at: now + delay, callback });
+            return nextTimerId++;
+        },
+        clearTimeout: id => timers.delete(id),
+    });
+    window.URL.createObjectURL = (blob) => {
+        downloads.push({ blob });
+        return 'blob:download';
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function () {
+        const download = downloads[downloads.length - 1];
+        if (this.download && download && !download.filename) {
+            download.filename = this.download;
+        }
+    };
+
+    // Function to move the fake clock forward, running the timers that come due in order
+    async function advance(ms) {
+        const end = now + ms;
+        await flushMicrotasks();
+        for (;;) {
+            const due = [...timers.entries()]
+                .filter(([, timer]) => timer.at <= end)
+                .sort(([, a], [, b]) => a.at - b.at)[0];
+            if (!due) {
+                break;
+            }
+            timers.delete(due[0]);
+            now = due[1].at;
+            due[1].callback();
+            await flushMicrotasks();
+        }
+        now = end;
+    }
+
+    window.eval(userscriptSource);
+    await advance(2000);
+
+    return {
+        window,
+        document: window.document,
+        storage,
+        downloads,
+        advance,
+        getMenu: () => [...menu.values()].map(command => command.name),
+        runMenuCommand: (name) => {
+            const command = [...menu.values()].find(candidate => candidate.name === name);
+            if (!command) {
+                throw new Error(`No menu command named "${name}"`);
+            }
+            return command.command();
+        },
+    };
+}
+
+module.exports = {
+    fixturesDir,
+    defaultSettings,
+    loadFixture,
+    convertFixture,
+    convertHtml,
+    convertResearchBody,
+    flushMicrotasks,
+    loadUserscript,
+};
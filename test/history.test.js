@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, pruneExportHistory } = require('..');
+const { loadUserscript } = require('./helpers');
+
+// Function to write a diff as one line per change, in the style of a unified diff
+function formatDiff(changes) {
+    return changes.map(({ type, line }) => `${type}${line}`);
+}
+
+test('finds no changes between equal texts', () => {
+    assert.deepEqual(formatDiff(diffLines('a\nb', 'a\nb')), [' a', ' b']);
+});
+
+test('finds inserted lines', () => {
+    assert.deepEqual(formatDiff(diffLines('a\nc', 'a\nb\nc\nd')), [' a', '+b', ' c', '+d']);
+});
+
+test('finds deleted lines', () => {
+    assert.deepEqual(formatDiff(diffLines('a\nb\nc\nd', 'b\nd')), ['-a', ' b', '-c', ' d']);
+});
+
+test('finds changed lines between unchanged ones', () => {
+    assert.deepEqual(formatDiff(diffLines('a\nb\nc', 'a\nx\nc')), [' a', '-b', '+x', ' c']);
+});
+
+test('refuses to compare more than 2000 changed lines', () => {
+    const lines = count => Array.from({ length: count }, (_, i) => `line ${i}`).join('\n');
+
+    assert.equal(diffLines('start\nend', `start\n${lines(2001)}\nend`), null);
+    assert.notEqual(diffLines('start\nend', `start\n${lines(2000)}\nend`), null);
+    // Unchanged lines at the start and end don't count towards the limit
+    assert.notEqual(diffLines(`${lines(3000)}\nold`, `${lines(3000)}\nnew`), null);
+});
+
+// Function to make a history entry for a report, with content of a given length
+function entry(id, reportId, length) {
+    return {
+        id,
+        kind: 'research',
+        url: 'https://chatgpt.com/c/history',
+        title: 'Same Title',
+        reportId,
+        format: 'markdown',
+        content: 'x'.repeat(length),
+    };
+}
+
+test('prunes older versions of reports first, then the oldest reports', () => {
+    const history = [
+        entry('a1', 'message:a:0', 10),
+        entry('b1', 'message:b:0', 10),
+        entry('a2', 'message:a:0', 10),
+        entry('c1', 'message:c:0', 10),
+    ];
+
+    assert.deepEqual(pruneExportHistory(history, 40).map(({ id }) => id), ['a1', 'b1', 'a2', 'c1']);
+    assert.deepEqual(pruneExportHistory(history, 30).map(({ id }) => id), ['b1', 'a2', 'c1']);
+    assert.deepEqual(pruneExportHistory(history, 25).map(({ id }) => id), ['a2', 'c1']);
+    assert.deepEqual(pruneExportHistory(history, 5).map(({ id }) => id), []);
+});
+
+test('keeps the last export of reports that share a title', () => {
+    const history = [entry('a1', 'message:a:0', 10), entry('b1', 'message:b:0', 10), entry('a2', 'message:a:0', 10)];
+
+    assert.deepEqual(pruneExportHistory(history, 20).map(({ id }) => id), ['b1', 'a2']);
+});
+
+// Two research results with the same title, in different messages
+const pageHtml = `<main>
+<div data-message-id="msg-1"><div class="deep-research-result"><h1>Battery Report</h1><p>First report</p></div></div>
+<div data-message-id="msg-2"><div class="deep-research-result"><h1>Battery Report</h1><p>Second report</p></div></div>
+</main>`;
+
+// Function to load the page with both reports exported, resolving to the page once they are in the history
+async function loadExportedPage() {
+    const page = await loadUserscript(pageHtml, { url: 'https://chatgpt.com/c/history-page' });
+    await page.advance(3000);
+    for (const button of page.document.querySelectorAll('[data-position="top"] .deep-research-export-btn')) {
+        button.click();
+        await page.advance(0);
+    }
+    return page;
+}
+
+test('keeps exports of reports with the same title apart', async () => {
+    const { storage } = await loadExportedPage();
+
+    const history = storage.exportHistory;
+    assert.equal(history.length, 2);
+    assert.deepEqual(history.map(({ reportId }) => reportId), ['message:msg-1:0', 'message:msg-2:0']);
+    assert.match(history[0].content, /First report/);
+    assert.match(history[1].content, /Second report/);
+});
+
+test('compares an export with the report it was made from', async () => {
+    const { document, runMenuCommand } = await loadExportedPage();
+
+    runMenuCommand('Export History…');
+    // The history lists the newest export first, the second report's, which a lookup by title would miss
+    const compareButtons = Array.from(document.querySelectorAll('.deep-research-history-overlay button'))
+        .filter(button => button.textContent === 'Compare');
+    assert.equal(compareButtons.length, 2);
+    compareButtons[0].click();
+
+    assert.match(document.querySelector('.deep-research-diff-overlay').textContent, /No changes since the export/);
+});
+
+test('asks before clearing the history', async () => {
+    const { document, storage, runMenuCommand, advance } = await loadExportedPage();
+    const clickButton = (overlay, text) => Array.from(document.querySelectorAll(`${overlay} button`))
+        .find(button => button.textContent === text)
+        .click();
+
+    runMenuCommand('Export History…');
+    clickButton('.deep-research-history-overlay', 'Clear History');
+    assert.match(document.querySelector('.deep-research-confirm-overlay').textContent, /Remove all exports from the history\?/);
+
+    clickButton('.deep-research-confirm-overlay', 'Cancel');
+    await advance(0);
+    assert.equal(storage.exportHistory.length, 2);
+    assert.ok(document.querySelector('.deep-research-history-overlay'));
+
+    clickButton('.deep-research-history-overlay', 'Clear History');
+    clickButton('.deep-research-confirm-overlay', 'Clear History');
+    await advance(0);
+    assert.deepEqual(storage.exportHistory, []);
+    assert.match(document.querySelector('.deep-research-history-overlay').textContent, /No exports yet\./);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fixturesDir, convertFixture } = require('./helpers');
+
+test('embeds and bundles images with the given loader', async () => {
+    const png = fs.readFileSync(path.join(fixturesDir, 'chart.png'));
+    const loaded = [];
+    const loadImage = (src) => {
+        loaded.push(src);
+        return fs.promises.readFile(path.join(fixturesDir, src)).then(bytes => ({ bytes: new Uint8Array(bytes), mimeType: 'image/png' }));
+    };
+
+    const [embedded] = await convertFixture('conversation.html', {}, { imageMode: 'embed', loadImage });
+    assert.ok(embedded.content.includes(`![Cost chart](data:image/png;base64,${png.toString('base64')})`));
+    assert.match(embedded.content, /!\[Cost per kWh by year\]\(data:image\/svg\+xml;base64,/);
+    assert.deepEqual(embedded.assets, []);
+
+    const [bundled] = await convertFixture('conversation.html', {}, { imageMode: 'bundle', loadImage });
+    assert.match(bundled.content, /!\[Cost chart\]\(assets\/Solid-State-Batteries\/image-1\.png\)/);
+    assert.deepEqual(bundled.assets.map(asset => asset.name), [
+        'assets/Solid-State-Batteries/image-1.png',
+        'assets/Solid-State-Batteries/chart-2.svg',
+    ]);
+    assert.deepEqual(Buffer.from(bundled.assets[0].content), png);
+
+    // Favicons in citations are dropped with the citation text, so they aren't loaded
+    assert.deepEqual(loaded, ['chart.png', 'chart.png']);
+});
+
+test('links images and only names SVG charts in link mode', async () => {
+    const [{ content }] = await convertFixture('conversation.html');
+    assert.match(content, /!\[Cost chart\]\(chart\.png\)/);
+    assert.match(content, /\n\n\*\\\[Chart: Cost per kWh by year\\\]\*\n\n## Recommendations/);
+    assert.doesNotMatch(content, /data:/);
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertResearchBody } = require('./helpers');
+
+// A link written into the answer, next to a citation ChatGPT added
+const body = '<p>See <a href="https://docs.example.com/guide">the guide</a> for details'
+    + '<span data-state="closed"><a href="https://source.example.com/">source</a></span></p>';
+
+test('keeps links that are not citations as links', async () => {
+    assert.equal(await convertResearchBody(body),
+        'See [the guide](https://docs.example.com/guide) for details [[1]](https://source.example.com/)');
+    assert.match(await convertResearchBody(body, { outputFormat: 'html' }),
+        /<p>See <a href="https:\/\/docs\.example\.com\/guide">the guide<\/a> for details/);
+});
+
+test('keeps links inside tables rendered as HTML', async () => {
+    const table = '<table><tr><td rowspan="2"><table><tr><td>nested</td></tr></table></td>'
+        + '<td><a href="https://docs.example.com/">docs</a></td></tr><tr><td>b</td></tr></table>';
+    const content = await convertResearchBody(table);
+
+    assert.match(content, /<a href="https:\/\/docs\.example\.com\/">docs<\/a>/);
+    assert.doesNotMatch(content, /\[1\]/);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertResearchBody } = require('./helpers');
+
+const cases = [
+    {
+        name: 'numbers an ordered list from 1 without a start attribute',
+        html: '<ol><li>one</li><li>two</li></ol>',
+        markdown: '1. one\n2. two',
+    },
+    {
+        name: 'numbers an ordered list from its start attribute',
+        html: '<ol start="3"><li>three</li><li>four</li></ol>',
+        markdown: '3. three\n4. four',
+    },
+    {
+        name: 'keeps a start of 0',
+        html: '<ol start="0"><li>zero</li><li>one</li></ol>',
+        markdown: '0. zero\n1. one',
+    },
+    {
+        name: 'ignores a start attribute that is not a number',
+        html: '<ol start="abc"><li>one</li></ol>',
+        markdown: '1. one',
+    },
+    {
+        name: 'indents nested lists under the text of their item',
+        html: '<ul><li>a<ul><li>b<ol><li>c</li></ol></li></ul></li><li>d</li></ul>',
+        markdown: '- a\n  - b\n    1. c\n- d',
+    },
+    {
+        name: 'indents nested lists by the width of a numbered marker',
+        html: '<ol start="9"><li>nine<ul><li>x</li></ul></li><li>ten<ul><li>y</li></ul></li></ol>',
+        markdown: '9. nine\n   - x\n10. ten\n    - y',
+    },
+    {
+        name: 'numbers an ordered list nested in a bullet list from its own start',
+        html: '<ul><li>a<ol start="5"><li>five<ul><li>deep</li></ul></li></ol></li></ul>',
+        markdown: '- a\n  5. five\n     - deep',
+    },
+    {
+        name: 'indents the paragraphs of a list item under its text',
+        html: '<ol><li><p>first</p><p>more</p></li><li><p>second</p></li></ol>',
+        markdown: '1. first\n\n   more\n2. second',
+    },
+];
+
+for (const { name, html, markdown } of cases) {
+    test(name, async () => {
+        assert.equal(await convertResearchBody(html), markdown);
+    });
+}
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript } = require('./helpers');
+
+test('keeps the menu in the same order when a setting changes', async () => {
+    const { getMenu, runMenuCommand } = await loadUserscript('<main></main>', { settings: { includeFrontmatter: true } });
+    const menu = getMenu();
+    assert.equal(menu[0], '☑ Include Frontmatter');
+    assert.deepEqual(menu.slice(-6), [
+        'Settings…',
+        'Copy Settings (JSON)',
+        'Export History…',
+        'Diagnose Page',
+        'Export Conversation',
+        'Export All Research (ZIP)',
+    ]);
+
+    runMenuCommand('☑ Include Frontmatter');
+    assert.deepEqual(getMenu(), ['☐ Include Frontmatter', ...menu.slice(1)]);
+
+    runMenuCommand('Citation Style: Inline Links');
+    assert.deepEqual(getMenu(), [
+        '☐ Include Frontmatter',
+        ...menu.slice(1).map(name => (name === 'Citation Style: Inline Links' ? 'Citation Style: Footnotes' : name)),
+    ]);
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript } = require('./helpers');
+
+// Research result that ChatGPT is writing without any of the streaming indicators on the page
+const pageHtml = '<main><div class="deep-research-result"><h1>Report</h1><p>First paragraph</p></div></main>';
+
+test('waits for a report to stop changing when no streaming indicator is found', async () => {
+    const { document, advance } = await loadUserscript(pageHtml);
+    const result = document.querySelector('.deep-research-result');
+    const exportBtn = () => document.querySelector('.deep-research-export-btn');
+
+    assert.equal(exportBtn().textContent, 'Researching…');
+    for (let index = 0; index < 5; index++) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = `Paragraph ${index}`;
+        result.appendChild(paragraph);
+        await advance(2000);
+        assert.equal(exportBtn().textContent, 'Researching…');
+        assert.equal(exportBtn().disabled, true);
+    }
+
+    await advance(3000);
+    assert.equal(exportBtn().textContent, 'Export Research (MD)');
+    assert.equal(exportBtn().disabled, false);
+});
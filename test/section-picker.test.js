@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadUserscript } = require('./helpers');
+
+// Report with citations in every section and a heading repeated in two sections
+const pageHtml = `<main><div class="deep-research-result">
+<h1>Battery Report</h1>
+<p>Intro<span data-state="closed"><a href="https://a.example.com/">A</a></span></p>
+<h2>Background</h2><p>Background<span data-state="closed"><a href="https://b.example.com/">B</a></span></p>
+<h3>Findings</h3><p>Old findings<span data-state="closed"><a href="https://c.example.com/">C</a></span></p>
+<h2>Results</h2><p>Results<span data-state="closed"><a href="https://d.example.com/">D</a></span></p>
+<h3>Findings</h3><p>New findings<span data-state="closed"><a href="https://b.example.com/new">B</a></span></p>
+</div></main>`;
+
+const settings = { citationStyle: 'footnotes', includeFrontmatter: false, includeTableOfContents: true, anchorStyle: 'github' };
+
+// Function to export the sections whose checkboxes are ticked, by their titles in the picker, resolving to the export
+async function exportSections(checked) {
+    const { window, document, downloads, advance } = await loadUserscript(pageHtml, { settings });
+    await advance(3000);
+    Array.from(document.querySelectorAll('[data-position="top"] button'))
+        .find(button => button.textContent === 'Export Sections…')
+        .click();
+
+    const overlay = document.querySelector('.deep-research-sections-overlay');
+    Array.from(overlay.querySelectorAll('label')).forEach((label, i) => {
+        label.querySelector('input').checked = checked.includes(i);
+    });
+    Array.from(overlay.querySelectorAll('button')).find(button => button.textContent === 'Export').click();
+    await advance(0);
+
+    assert.equal(downloads.length, 1);
+    return new Promise((resolve) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(downloads[0].blob);
+    });
+}
+
+test('numbers the footnotes and heading anchors of the exported sections afresh', async () => {
+    // Battery Report, Results and its Findings
+    const content = await exportSections([0, 3, 4]);
+
+    assert.equal(content, [
+        '# Battery Report',
+        '',
+        '**Contents**',
+        '',
+        '- [Results](#results)',
+        '  - [Findings](#findings)',
+        '',
+        'Intro[^1]',
+        '',
+        '## Results',
+        '',
+        'Results[^2]',
+        '',
+        '### Findings',
+        '',
+        'New findings[^3]',
+        '',
+        '## Sources',
+        '',
+        '[^1]: A, <https://a.example.com/>',
+        '[^2]: D, <https://d.example.com/>',
+        '[^3]: B, <https://b.example.com/new>',
+    ].join('\n'));
+});
+
+test('keeps the headings above a picked section without their text', async () => {
+    // Only the second Findings
+    const content = await exportSections([4]);
+
+    assert.match(content, /^# Battery Report\n\n\*\*Contents\*\*\n\n- \[Results\]\(#results\)\n {2}- \[Findings\]\(#findings\)\n\n## Results\n\n### Findings\n\nNew findings\[\^1\]\n/);
+    assert.match(content, /^\[\^1\]: B, <https:\/\/b\.example\.com\/new>$/m);
+    assert.doesNotMatch(content, /Intro|Background|Old findings|\[\^2\]/);
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSendTargets, fillPayloadTemplate } = require('..');
+
+const values = {
+    title: 'The "Best" Cells \\ 2025',
+    content: '# Report\n\nLine with "quotes" and a tab\there.',
+    tags: ['batteries', 'research'],
+    source_count: 3,
+};
+
+test('keeps quotes, backslashes and line breaks in filled templates valid JSON', () => {
+    const template = { text: 'Title: {{title}}\n{{content}}', nested: [{ heading: '# {{title}}' }] };
+    const body = JSON.stringify(fillPayloadTemplate(template, values));
+
+    assert.deepEqual(JSON.parse(body), {
+        text: `Title: ${values.title}\n${values.content}`,
+        nested: [{ heading: `# ${values.title}` }],
+    });
+});
+
+test('keeps the type of values that fill a whole string', () => {
+    assert.deepEqual(fillPayloadTemplate({ tags: '{{tags}}', count: '{{ source_count }}', list: 'Tags: {{tags}}' }, values), {
+        tags: ['batteries', 'research'],
+        count: 3,
+        list: 'Tags: batteries, research',
+    });
+});
+
+test('leaves unknown placeholders and values that are not strings as they are', () => {
+    assert.deepEqual(fillPayloadTemplate({ missing: '{{missing}}', inline: 'a {{missing}} b', number: 1, flag: null }, values), {
+        missing: '{{missing}}',
+        inline: 'a {{missing}} b',
+        number: 1,
+        flag: null,
+    });
+});
+
+test('accepts valid targets', () => {
+    const { targets, error } = parseSendTargets(JSON.stringify([
+        { name: 'Ingest', type: 'http', url: 'http://localhost:8000/ingest', headers: { 'X-Api-Key': 'secret', Authorization: 'Bearer a.b' } },
+        { name: 'Vault', type: 'obsidian', vault: 'Research' },
+    ]));
+
+    assert.equal(error, null);
+    assert.deepEqual(targets.map(target => target.name), ['Ingest', 'Vault']);
+    assert.deepEqual(parseSendTargets('  '), { targets: [], error: null });
+});
+
+const invalidCases = [
+    { name: 'malformed JSON', value: '[{"name": "Ingest",]', error: /^Invalid JSON: / },
+    { name: 'a JSON object instead of a list', value: '{"name": "Ingest"}', error: /^Expected a JSON list of targets$/ },
+    { name: 'a target without a name', value: '[{"type": "http"}]', error: /^Target 1 has no name$/ },
+    { name: 'an unknown type', value: '[{"name": "Ingest", "type": "ftp"}]', error: /unknown type/ },
+    { name: 'an HTTP target without a web URL', value: '[{"name": "Ingest", "type": "http", "url": "file:///tmp"}]', error: /needs an http:\/\/ or https:\/\/ url/ },
+    { name: 'an Obsidian target without a vault', value: '[{"name": "Vault", "type": "obsidian"}]', error: /needs a vault/ },
+    { name: 'headers as a list', headers: ['X-Api-Key: secret'], error: /needs headers as an object/ },
+    { name: 'a header value that is not a string', headers: { 'X-Retry': 3 }, error: /needs headers as an object/ },
+    { name: 'a header name with a space', headers: { 'X Api Key': 'secret' }, error: /invalid header name "X Api Key"/ },
+    { name: 'a header name with a colon', headers: { 'X-Api-Key:': 'secret' }, error: /invalid header name "X-Api-Key:"/ },
+    { name: 'an empty header name', headers: { '': 'secret' }, error: /invalid header name ""/ },
+    { name: 'a line break in a header value', headers: { 'X-Api-Key': 'secret\r\nX-Admin: true' }, error: /line break in the value of header "X-Api-Key"/ },
+];
+
+for (const { name, value, headers, error } of invalidCases) {
+    test(`rejects ${name}`, () => {
+        const json = value || JSON.stringify([{ name: 'Ingest', type: 'http', url: 'https://example.com/ingest', headers }]);
+        const result = parseSendTargets(json);
+
+        assert.deepEqual(result.targets, []);
+        assert.match(result.error, error);
+    });
+}
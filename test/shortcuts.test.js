@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseShortcut, formatShortcutSetting, matchesShortcut } = require('..');
+
+const validCases = [
+    { value: 'Alt+Shift+E', formatted: 'Alt+Shift+E' },
+    { value: 'Shift+Alt+E', formatted: 'Alt+Shift+E' },
+    { value: 'alt+shift+e', formatted: 'Alt+Shift+E' },
+    { value: ' Ctrl + c ', formatted: 'Ctrl+C' },
+    { value: 'Control+Option+1', formatted: 'Ctrl+Alt+1' },
+    { value: 'Cmd+Shift+F5', formatted: 'Shift+Meta+F5' },
+    { value: 'Meta+Command+K', formatted: 'Meta+K' },
+];
+
+for (const { value, formatted } of validCases) {
+    test(`reads "${value}" as ${formatted}`, () => {
+        assert.notEqual(parseShortcut(value), null);
+        assert.equal(formatShortcutSetting(value), formatted);
+    });
+}
+
+const invalidCases = [
+    { value: 'E', reason: 'a key without modifiers' },
+    { value: 'Shift+E', reason: 'Shift alone, which types capitals' },
+    { value: 'Alt+Shift', reason: 'only modifiers' },
+    { value: 'Alt+', reason: 'no key after the modifiers' },
+    { value: 'Hyper+E', reason: 'an unknown modifier' },
+    { value: 'Alt+E+F', reason: 'two keys' },
+];
+
+for (const { value, reason } of invalidCases) {
+    test(`rejects ${reason}`, () => {
+        assert.equal(parseShortcut(value), null);
+        assert.equal(formatShortcutSetting(value), 'Not a valid shortcut');
+    });
+}
+
+test('describes an empty shortcut as none', () => {
+    assert.equal(formatShortcutSetting('  '), 'None');
+});
+
+// Function to make a keydown event with no modifiers besides those given
+function keydown(key, code, modifiers = {}) {
+    return { key, code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers };
+}
+
+test('matches letters and digits by key position, whatever character they type', () => {
+    const shortcut = parseShortcut('Alt+Shift+E');
+
+    assert.equal(matchesShortcut(keydown('´', 'KeyE', { altKey: true, shiftKey: true }), shortcut), true);
+    assert.equal(matchesShortcut(keydown('E', 'KeyE', { altKey: true }), shortcut), false);
+    assert.equal(matchesShortcut(keydown('E', 'KeyE', { altKey: true, shiftKey: true, ctrlKey: true }), shortcut), false);
+    assert.equal(matchesShortcut(keydown('¡', 'Digit1', { ctrlKey: true, altKey: true }), parseShortcut('Ctrl+Alt+1')), true);
+});
+
+test('matches other keys by name, whatever their case', () => {
+    assert.equal(matchesShortcut(keydown('F5', 'F5', { metaKey: true }), parseShortcut('Meta+f5')), true);
+    assert.equal(matchesShortcut(keydown('F6', 'F6', { metaKey: true }), parseShortcut('Meta+F5')), false);
+});
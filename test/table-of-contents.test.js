@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const exporter = require('..');
+
+// Report with headings repeated across sections and within one section
+const reportHtml = `<div class="deep-research-result">
+<h1>Report</h1>
+<h2>Report A</h2><h3>Findings</h3><p>one</p><h3>Findings</h3><p>two</p>
+<h2>Report B</h2><h3>Findings</h3><p>three</p>
+<h2>Summary</h2><p>end</p>
+</div>`;
+
+// Function to convert the report with a table of contents in a heading link style
+function convertReport(anchorStyle) {
+    const { window } = new JSDOM(reportHtml, { url: 'https://chatgpt.com/c/toc' });
+    exporter.configure({
+        includeFrontmatter: false,
+        includeTableOfContents: true,
+        tableOfContentsDepth: 3,
+        anchorStyle,
+    });
+    return exporter.convertPage(window).then(([result]) => result.content);
+}
+
+test('links repeated headings with numbered GitHub anchors', async () => {
+    const content = await convertReport('github');
+
+    assert.ok(content.includes([
+        '- [Report A](#report-a)',
+        '  - [Findings](#findings)',
+        '  - [Findings](#findings-1)',
+        '- [Report B](#report-b)',
+        '  - [Findings](#findings-2)',
+        '- [Summary](#summary)',
+    ].join('\n')), content);
+    assert.doesNotMatch(content, /\^h-/);
+});
+
+test('links headings repeated under the same parents by Obsidian block id', async () => {
+    const content = await convertReport('obsidian');
+
+    assert.ok(content.includes([
+        '- [[#Report A|Report A]]',
+        '  - [[#Report#Report A#Findings|Findings]]',
+        '  - [[#^h-findings-1|Findings]]',
+        '- [[#Report B|Report B]]',
+        '  - [[#Report#Report B#Findings|Findings]]',
+        '- [[#Summary|Summary]]',
+    ].join('\n')), content);
+    assert.match(content, /^### Findings\n\none\n\n### Findings \^h-findings-1\n\ntwo\n\n/m);
+    assert.match(content, /^### Findings\n\nthree/m);
+});
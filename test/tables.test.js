@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertFixture } = require('./helpers');
+
+// Function to convert the tables fixture, resolving to the content of each report by its title
+function convertTables(settings = {}) {
+    return convertFixture('tables.html', settings).then(results => new Map(
+        results.map(({ content }) => [content.match(/^# (.+)$/m)[1], content.replace(/^# .+\n\n/, '')])
+    ));
+}
+
+test('expands spanned cells into a full grid', async () => {
+    const tables = await convertTables();
+
+    assert.equal(tables.get('Spanned Cells'), [
+        '| Region | Sales | Sales |',
+        '| --- | --- | --- |',
+        '| North | 10 | 12 |',
+        '| North | 11 | 13 |',
+        '| South | n/a |  |',
+    ].join('\n'));
+});
+
+test('merges header rows into one', async () => {
+    const tables = await convertTables();
+
+    assert.equal(tables.get('Merged Headers'), [
+        '| Name | Score / Q1 | Score / Q2 |',
+        '| --- | --- | --- |',
+        '| Ada | 1 | 2 |',
+    ].join('\n'));
+});
+
+test('keeps column alignment in the separator row', async () => {
+    const tables = await convertTables();
+
+    assert.equal(tables.get('Aligned Columns'), [
+        '| Left | Center | Right | Default |',
+        '| :--- | :---: | ---: | --- |',
+        '| a | b | c\\|d | e |',
+    ].join('\n'));
+});
+
+test('keeps nested tables and block content in cells as HTML', async () => {
+    const tables = await convertTables();
+
+    assert.equal(tables.get('Nested Table'), [
+        '<table>',
+        '<tbody>',
+        '<tr>',
+        '<td><table>',
+        '<tbody>',
+        '<tr>',
+        '<td>inner</td>',
+        '</tr>',
+        '</tbody>',
+        '</table></td><td><strong>outer</strong></td>',
+        '</tr>',
+        '</tbody>',
+        '</table>',
+    ].join('\n'));
+    assert.equal(tables.get('List In A Cell'), [
+        '<table>',
+        '<thead>',
+        '<tr>',
+        '<th>Option</th><th>Notes</th>',
+        '</tr>',
+        '</thead>',
+        '<tbody>',
+        '<tr>',
+        '<td>A</td><td><ul><li>fast</li><li>cheap</li></ul></td>',
+        '</tr>',
+        '</tbody>',
+        '</table>',
+    ].join('\n'));
+});